@@ -1,13 +1,23 @@
 /**
  * HLS Stream Player - Frontend Application
  */
+
+// Lifetime of copied stream links (seconds)
+const SHARE_LINK_TTL = 24 * 3600;
+
+// Attempts per upload chunk before the upload is paused
+const UPLOAD_RETRIES = 5;
+
 class StreamApp {
   constructor() {
     // State
     this.currentJob = null;
+    this.playingJob = null;
+    this.apiKey = localStorage.getItem('apiKey');
     this.player = null;
     this.eventSource = null;
     this.history = this.loadHistory();
+    this.upload = null;
     
     // DOM Elements
     this.elements = {
@@ -21,6 +31,17 @@ class StreamApp {
       urlInput: document.getElementById('video-url'),
       submitBtn: document.getElementById('submit-btn'),
       
+      // Upload
+      uploadZone: document.getElementById('upload-zone'),
+      uploadInput: document.getElementById('upload-input'),
+      uploadBrowse: document.getElementById('upload-browse'),
+      uploadProgress: document.getElementById('upload-progress'),
+      uploadFileName: document.getElementById('upload-file-name'),
+      uploadFill: document.getElementById('upload-fill'),
+      uploadText: document.getElementById('upload-text'),
+      uploadPause: document.getElementById('upload-pause'),
+      uploadCancel: document.getElementById('upload-cancel'),
+      
       // Processing
       cancelBtn: document.getElementById('cancel-btn'),
       fileInfo: document.getElementById('file-info'),
@@ -89,6 +110,26 @@ class StreamApp {
       });
     });
     
+    // Upload: drag and drop or file picker
+    const { uploadZone, uploadInput } = this.elements;
+    this.elements.uploadBrowse.addEventListener('click', () => uploadInput.click());
+    uploadInput.addEventListener('change', () => {
+      if (uploadInput.files[0]) this.startUpload(uploadInput.files[0]);
+      uploadInput.value = '';
+    });
+    uploadZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      uploadZone.classList.add('dragover');
+    });
+    uploadZone.addEventListener('dragleave', () => uploadZone.classList.remove('dragover'));
+    uploadZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      uploadZone.classList.remove('dragover');
+      if (e.dataTransfer.files[0]) this.startUpload(e.dataTransfer.files[0]);
+    });
+    this.elements.uploadPause.addEventListener('click', () => this.toggleUploadPause());
+    this.elements.uploadCancel.addEventListener('click', () => this.cancelUpload());
+    
     // Cancel button
     this.elements.cancelBtn.addEventListener('click', () => this.cancelJob());
     
@@ -146,7 +187,7 @@ class StreamApp {
     
     try {
       // Start the streaming job
-      const response = await fetch('/api/stream/start', {
+      const response = await this.apiFetch('/api/stream/start', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ url })
@@ -154,12 +195,16 @@ class StreamApp {
       
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.message || 'Failed to start stream');
+        throw new Error(error.error || error.message || 'Failed to start stream');
       }
       
       const data = await response.json();
       this.currentJob = data.jobId;
       
+      if (data.deduplicated) {
+        this.showToast('Same source already converted - reusing it', 'success');
+      }
+      
       // Connect to SSE for progress updates
       this.connectToProgress(data.jobId);
       
@@ -169,13 +214,197 @@ class StreamApp {
     }
   }
   
+  // =========================================================================
+  // Upload Flow
+  // =========================================================================
+  
+  /**
+   * Upload a local file in chunks; an interrupted upload of the same file
+   * resumes from the server's offset
+   */
+  async startUpload(file) {
+    if (this.upload) {
+      this.showToast('An upload is already in progress', 'error');
+      return;
+    }
+    
+    const resumeKey = `upload:${file.name}:${file.size}:${file.lastModified}`;
+    this.upload = { file, resumeKey, id: null, offset: 0, chunkSize: 0, paused: false, controller: null };
+    
+    this.elements.uploadFileName.textContent = file.name;
+    this.elements.uploadPause.textContent = 'Pause';
+    this.elements.uploadProgress.classList.remove('hidden');
+    this.updateUploadProgress();
+    
+    try {
+      const existing = localStorage.getItem(resumeKey);
+      const state = existing ? await this.getUploadState(existing) : null;
+      
+      if (state && state.status === 'uploading') {
+        Object.assign(this.upload, { id: state.uploadId, offset: state.offset, chunkSize: state.chunkSize });
+      } else {
+        const response = await this.apiFetch('/api/upload', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ fileName: file.name, size: file.size })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to start upload');
+        
+        Object.assign(this.upload, { id: data.uploadId, offset: 0, chunkSize: data.chunkSize });
+        localStorage.setItem(resumeKey, data.uploadId);
+      }
+      
+      await this.sendChunks();
+    } catch (error) {
+      this.showToast(error.message, 'error');
+      this.resetUpload();
+    }
+  }
+  
+  async getUploadState(uploadId) {
+    try {
+      const response = await this.apiFetch(`/api/upload/${uploadId}`);
+      return response.ok ? await response.json() : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  async sendChunks() {
+    const upload = this.upload;
+    let attempt = 0;
+    
+    while (upload.offset < upload.file.size && !upload.paused) {
+      const chunk = upload.file.slice(upload.offset, upload.offset + upload.chunkSize);
+      const headers = {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(upload.offset)
+      };
+      
+      // crypto.subtle is only available on https and localhost
+      const body = await chunk.arrayBuffer();
+      if (window.crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', body);
+        headers['Upload-Checksum'] = `sha256 ${btoa(String.fromCharCode(...new Uint8Array(digest)))}`;
+      }
+      
+      upload.controller = new AbortController();
+      let response;
+      try {
+        response = await this.apiFetch(`/api/upload/${upload.id}`, {
+          method: 'PATCH',
+          headers,
+          body,
+          signal: upload.controller.signal
+        });
+      } catch (error) {
+        if (upload.paused || this.upload !== upload) return;
+        response = null;
+      }
+      
+      const data = response ? await response.json().catch(() => ({})) : {};
+      
+      if (response?.ok) {
+        attempt = 0;
+        upload.offset = data.offset;
+        this.updateUploadProgress();
+        
+        if (data.jobId) {
+          this.finishUpload(data.jobId);
+          return;
+        }
+        continue;
+      }
+      
+      // Server is somewhere else (e.g. a retried chunk did arrive): continue from there
+      const serverOffset = response?.headers.get('Upload-Offset');
+      if (response?.status === 409 && serverOffset !== null) {
+        upload.offset = parseInt(serverOffset, 10);
+        continue;
+      }
+      
+      // Network errors and checksum mismatches are retried; other errors are final
+      if (response && response.status !== 460 && response.status < 500) {
+        throw new Error(data.error || `Upload failed (HTTP ${response.status})`);
+      }
+      
+      if (++attempt > UPLOAD_RETRIES) {
+        upload.paused = true;
+        this.elements.uploadPause.textContent = 'Resume';
+        this.showToast('Upload interrupted - press Resume to continue', 'error');
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt)));
+    }
+  }
+  
+  toggleUploadPause() {
+    const upload = this.upload;
+    if (!upload) return;
+    
+    upload.paused = !upload.paused;
+    this.elements.uploadPause.textContent = upload.paused ? 'Resume' : 'Pause';
+    
+    if (upload.paused) {
+      upload.controller?.abort();
+    } else {
+      this.sendChunks().catch((error) => {
+        this.showToast(error.message, 'error');
+        this.resetUpload();
+      });
+    }
+  }
+  
+  async cancelUpload() {
+    const upload = this.upload;
+    if (!upload) return;
+    
+    upload.paused = true;
+    upload.controller?.abort();
+    
+    if (upload.id) {
+      await this.apiFetch(`/api/upload/${upload.id}`, { method: 'DELETE' }).catch(() => {});
+    }
+    localStorage.removeItem(upload.resumeKey);
+    this.resetUpload();
+  }
+  
+  finishUpload(jobId) {
+    localStorage.removeItem(this.upload.resumeKey);
+    this.resetUpload();
+    
+    this.showProcessingSection();
+    this.resetProgress();
+    this.setStepActive('analyze');
+    
+    this.currentJob = jobId;
+    this.connectToProgress(jobId);
+  }
+  
+  updateUploadProgress() {
+    const { file, offset } = this.upload;
+    const percent = file.size > 0 ? (offset / file.size) * 100 : 0;
+    
+    this.elements.uploadFill.style.width = `${percent}%`;
+    this.elements.uploadText.textContent = `${percent.toFixed(1)}%`;
+  }
+  
+  resetUpload() {
+    this.upload = null;
+    this.elements.uploadProgress.classList.add('hidden');
+    this.elements.uploadFill.style.width = '0%';
+  }
+  
   connectToProgress(jobId) {
     // Close existing connection
     if (this.eventSource) {
       this.eventSource.close();
     }
     
-    this.eventSource = new EventSource(`/api/stream/progress/${jobId}`);
+    // EventSource cannot send headers; the key goes in the query string
+    const query = this.apiKey ? `?api_key=${encodeURIComponent(this.apiKey)}` : '';
+    this.eventSource = new EventSource(`/api/stream/progress/${jobId}${query}`);
     
     this.eventSource.onmessage = (event) => {
       const data = JSON.parse(event.data);
@@ -191,11 +420,11 @@ class StreamApp {
   
   async pollJobStatus(jobId) {
     try {
-      const response = await fetch(`/api/stream/status/${jobId}`);
+      const response = await this.apiFetch(`/api/stream/status/${jobId}`);
       const data = await response.json();
       this.handleProgressUpdate(data);
       
-      if (data.status === 'processing' || data.status === 'downloading' || data.status === 'converting') {
+      if (['queued', 'processing', 'downloading', 'converting', 'retrying'].includes(data.status)) {
         setTimeout(() => this.pollJobStatus(jobId), 1000);
       }
     } catch (error) {
@@ -205,6 +434,14 @@ class StreamApp {
   
   handleProgressUpdate(data) {
     switch (data.status) {
+      case 'queued':
+        if (data.queue) {
+          const step = data.queue.stage === 'transcode' ? 'convert' : 'download';
+          this.setStepActive(step);
+          this.updateStepDesc(step, `Queued (position ${data.queue.position} of ${data.queue.size})`);
+        }
+        break;
+        
       case 'analyzing':
         this.setStepActive('analyze');
         this.updateStepDesc('analyze', 'Fetching file information...');
@@ -229,6 +466,11 @@ class StreamApp {
         this.setStepCompleted('download');
         this.setStepActive('convert');
         this.updateConvertProgress(data.progress || 0);
+        
+        // Progressive jobs can be watched while the rest is transcoded
+        if (data.playable && this.playingStream !== data.streamUrl) {
+          this.playStream(data.streamUrl, data);
+        }
         break;
         
       case 'ready':
@@ -240,32 +482,56 @@ class StreamApp {
         this.addToHistory({
           url: data.originalUrl,
           name: data.fileName || 'Video',
+          jobId: data.id,
           streamUrl: data.streamUrl,
+          poster: data.posterUrl || null,
           date: new Date().toISOString()
         });
         
-        // Start playback
-        setTimeout(() => {
-          this.playStream(data.streamUrl, data);
-        }, 500);
+        // Start playback (already running for progressive jobs)
+        if (this.playingStream !== data.streamUrl) {
+          setTimeout(() => {
+            this.playStream(data.streamUrl, data);
+          }, 500);
+        }
+        break;
+        
+      // Transient failure, tried again automatically
+      case 'retrying':
+        this.setStepActive(data.step || 'analyze');
+        this.updateStepDesc(data.step || 'analyze', data.message);
         break;
         
       case 'error':
+      case 'interrupted':
         this.setStepError(data.step || 'analyze', data.message);
         this.showToast(data.message || 'An error occurred', 'error');
         break;
     }
   }
   
-  playDirectHLS(url) {
+  playDirectHLS(url, poster = null) {
+    this.playingJob = null;
     this.showPlayerSection();
-    this.initPlayer(url);
+    this.initPlayer(url, {}, null, poster);
     this.elements.videoTitle.textContent = this.getFileNameFromUrl(url);
   }
   
-  playStream(streamUrl, info) {
+  async playStream(streamUrl, info) {
+    this.playingStream = streamUrl;
+    this.playingJob = info.id || this.currentJob;
     this.showPlayerSection();
-    this.initPlayer(streamUrl);
+    
+    // /hls needs a signed URL unless the server allows unsigned playback
+    const link = await this.getPlaybackLink(this.playingJob);
+    
+    // A growing EVENT playlist looks live to hls.js; start from the beginning
+    this.initPlayer(
+      link?.url || streamUrl,
+      info.status === 'converting' ? { startPosition: 0 } : {},
+      link?.thumbnailsUrl || info.thumbnailsUrl,
+      link?.posterUrl || info.posterUrl
+    );
     
     // Update UI
     this.elements.videoTitle.textContent = info.fileName || 'Video';
@@ -275,7 +541,7 @@ class StreamApp {
     }
   }
   
-  initPlayer(src) {
+  initPlayer(src, hlsConfig = {}, thumbnails = null, poster = null) {
     // Destroy existing player
     if (this.player) {
       this.player.destroy();
@@ -284,6 +550,9 @@ class StreamApp {
     this.player = new HLSPlayer(this.elements.playerContainer, {
       src,
       autoplay: true,
+      hlsConfig,
+      thumbnails,
+      poster,
       onReady: (data) => {
         if (data.audioTracks) {
           this.elements.infoAudioTracks.textContent = data.audioTracks.length;
@@ -304,7 +573,7 @@ class StreamApp {
   async cancelJob() {
     if (this.currentJob) {
       try {
-        await fetch(`/api/stream/cancel/${this.currentJob}`, { method: 'POST' });
+        await this.apiFetch(`/api/stream/cancel/${this.currentJob}`, { method: 'POST' });
       } catch (e) {
         console.error('Cancel error:', e);
       }
@@ -332,6 +601,8 @@ class StreamApp {
       this.player.destroy();
       this.player = null;
     }
+    this.playingStream = null;
+    this.playingJob = null;
   }
   
   showProcessingSection() {
@@ -494,6 +765,7 @@ class StreamApp {
     
     this.elements.historyList.innerHTML = this.history.map((item, index) => `
       <div class="history-item" data-index="${index}">
+        ${item.poster ? `<img class="history-item-poster" alt="" loading="lazy" onerror="this.remove()">` : ''}
         <div class="history-item-info">
           <div class="history-item-name">${this.escapeHtml(item.name)}</div>
           <div class="history-item-date">${this.formatDate(item.date)}</div>
@@ -519,9 +791,21 @@ class StreamApp {
         this.removeFromHistory(index);
       });
     });
+    
+    this.loadHistoryPosters();
+  }
+  
+  // Posters are behind the playback token like the stream, and a stored
+  // token would expire; sign a fresh link each time the list is shown
+  loadHistoryPosters() {
+    this.elements.historyList.querySelectorAll('.history-item-poster').forEach(async (img) => {
+      const item = this.history[parseInt(img.closest('.history-item').dataset.index)];
+      const link = item.jobId ? await this.getPlaybackLink(item.jobId) : null;
+      img.src = link?.posterUrl || item.poster;
+    });
   }
   
-  playFromHistory(index) {
+  async playFromHistory(index) {
     const item = this.history[index];
     if (!item) return;
     
@@ -529,7 +813,9 @@ class StreamApp {
     
     // Check if stream is still available
     if (item.streamUrl) {
-      this.playDirectHLS(item.streamUrl);
+      const link = item.jobId ? await this.getPlaybackLink(item.jobId) : null;
+      this.playDirectHLS(link?.url || item.streamUrl, link?.posterUrl || item.poster);
+      this.playingJob = link ? item.jobId : null;
     } else {
       this.elements.urlInput.value = item.url;
       this.startStream(item.url);
@@ -568,9 +854,53 @@ class StreamApp {
   // Utilities
   // =========================================================================
   
-  copyStreamLink() {
+  /**
+   * fetch() with the stored API key; asks for a key once when the server
+   * answers 401 and retries with it
+   */
+  async apiFetch(url, options = {}, retry = true) {
+    const headers = { ...options.headers };
+    if (this.apiKey) {
+      headers['X-API-Key'] = this.apiKey;
+    }
+    
+    const response = await fetch(url, { ...options, headers });
+    
+    if (response.status === 401 && retry) {
+      const key = window.prompt('This server requires an API key:');
+      if (key) {
+        this.apiKey = key.trim();
+        localStorage.setItem('apiKey', this.apiKey);
+        return this.apiFetch(url, options, false);
+      }
+    }
+    
+    return response;
+  }
+  
+  /**
+   * Mint a signed playback URL for a job (null if it can't be minted)
+   */
+  async getPlaybackLink(jobId, ttl) {
+    if (!jobId) return null;
+    
+    try {
+      const response = await this.apiFetch(`/api/stream/${jobId}/link`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(ttl ? { ttl } : {})
+      });
+      return response.ok ? await response.json() : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  async copyStreamLink() {
     if (this.player && this.player.config.src) {
-      const fullUrl = new URL(this.player.config.src, window.location.origin).href;
+      // Shared links get their own, longer-lived token
+      const link = await this.getPlaybackLink(this.playingJob, SHARE_LINK_TTL);
+      const fullUrl = new URL(link?.url || this.player.config.src, window.location.origin).href;
       navigator.clipboard.writeText(fullUrl).then(() => {
         this.showToast('Stream link copied!', 'success');
       }).catch(() => {
@@ -20,6 +20,7 @@ class HLSPlayer {
       autoplay: options.autoplay || false,
       muted: options.muted || false,
       poster: options.poster || null,
+      thumbnails: options.thumbnails || null, // URL of a thumbnails.vtt track
       hlsConfig: options.hlsConfig || {},
       onReady: options.onReady || (() => {}),
       onError: options.onError || ((e) => console.error(e)),
@@ -34,6 +35,7 @@ class HLSPlayer {
     this.currentAudioTrack = 0;
     this.isHlsSupported = false;
     this.isNativeHlsSupported = false;
+    this.thumbnails = [];
 
     this._init();
   }
@@ -49,6 +51,10 @@ class HLSPlayer {
     if (this.config.src) {
       this.load(this.config.src);
     }
+
+    if (this.config.thumbnails) {
+      this.loadThumbnails(this.config.thumbnails);
+    }
   }
 
   /**
@@ -101,6 +107,39 @@ class HLSPlayer {
     this.wrapper.appendChild(this.video);
     this.wrapper.appendChild(this.controls);
     this.container.appendChild(this.wrapper);
+
+    // Seek bar with thumbnail previews (only when a thumbnails track is set)
+    if (this.config.thumbnails) {
+      this.seekBar = this._createSeekBar();
+      this.container.appendChild(this.seekBar);
+    }
+  }
+
+  /**
+   * Create seek bar with hover preview
+   */
+  _createSeekBar() {
+    const bar = document.createElement('div');
+    bar.className = 'hls-seekbar';
+
+    const progress = document.createElement('div');
+    progress.className = 'hls-seekbar-progress';
+
+    const preview = document.createElement('div');
+    preview.className = 'hls-seek-preview';
+
+    const image = document.createElement('div');
+    image.className = 'hls-seek-preview-image';
+
+    const time = document.createElement('span');
+    time.className = 'hls-seek-preview-time';
+
+    preview.appendChild(image);
+    preview.appendChild(time);
+    bar.appendChild(progress);
+    bar.appendChild(preview);
+
+    return bar;
   }
 
   /**
@@ -166,6 +205,129 @@ class HLSPlayer {
     this.video.addEventListener('error', (e) => {
       this.config.onError(e);
     });
+
+    if (this.seekBar) {
+      this._attachSeekBarListeners();
+    }
+  }
+
+  /**
+   * Seek bar: progress, click to seek, thumbnail preview on hover
+   */
+  _attachSeekBarListeners() {
+    const progress = this.seekBar.querySelector('.hls-seekbar-progress');
+    const preview = this.seekBar.querySelector('.hls-seek-preview');
+    const image = this.seekBar.querySelector('.hls-seek-preview-image');
+    const time = this.seekBar.querySelector('.hls-seek-preview-time');
+
+    const timeAt = (event) => {
+      const rect = this.seekBar.getBoundingClientRect();
+      const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+      return { fraction, seconds: fraction * (this.video.duration || 0) };
+    };
+
+    this.video.addEventListener('timeupdate', () => {
+      const duration = this.video.duration;
+      const percent = duration ? (this.video.currentTime / duration) * 100 : 0;
+      progress.style.width = `${percent}%`;
+    });
+
+    this.seekBar.addEventListener('click', (event) => {
+      const { seconds } = timeAt(event);
+      if (this.video.duration) {
+        this.seek(seconds);
+      }
+    });
+
+    this.seekBar.addEventListener('mousemove', (event) => {
+      if (!this.video.duration) return;
+
+      const { fraction, seconds } = timeAt(event);
+      const cue = this.getThumbnailAt(seconds);
+
+      time.textContent = this._formatTime(seconds);
+
+      if (cue) {
+        image.style.display = 'block';
+        image.style.width = `${cue.w}px`;
+        image.style.height = `${cue.h}px`;
+        image.style.backgroundImage = `url("${cue.url}")`;
+        image.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+      } else {
+        image.style.display = 'none';
+      }
+
+      // Keep the preview inside the bar
+      const barWidth = this.seekBar.clientWidth;
+      const half = preview.offsetWidth / 2;
+      const left = Math.min(Math.max(fraction * barWidth, half), barWidth - half);
+      preview.style.left = `${left}px`;
+      preview.classList.add('visible');
+    });
+
+    this.seekBar.addEventListener('mouseleave', () => {
+      preview.classList.remove('visible');
+    });
+  }
+
+  /**
+   * Load a WebVTT thumbnails track (`sprite.jpg#xywh=x,y,w,h` cues)
+   */
+  async loadThumbnails(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const text = await response.text();
+      this.thumbnails = this._parseThumbnailVtt(text, new URL(url, window.location.href));
+    } catch (error) {
+      console.warn('Failed to load thumbnails:', error);
+      this.thumbnails = [];
+    }
+  }
+
+  /**
+   * Get the thumbnail cue covering a time (null if none)
+   */
+  getThumbnailAt(seconds) {
+    return this.thumbnails.find(cue => seconds >= cue.start && seconds < cue.end) ||
+      (this.thumbnails.length > 0 && seconds >= this.thumbnails[this.thumbnails.length - 1].start
+        ? this.thumbnails[this.thumbnails.length - 1]
+        : null);
+  }
+
+  _parseThumbnailVtt(text, baseUrl) {
+    const cues = [];
+    const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    for (const block of blocks) {
+      const lines = block.trim().split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1 || !lines[timingIndex + 1]) continue;
+
+      const [start, end] = lines[timingIndex].split('-->').map(part => this._parseTime(part.trim()));
+      const [file, fragment] = lines[timingIndex + 1].trim().split('#xywh=');
+      if (!fragment) continue;
+
+      const [x, y, w, h] = fragment.split(',').map(Number);
+      cues.push({ start, end, url: new URL(file, baseUrl).href, x, y, w, h });
+    }
+
+    return cues;
+  }
+
+  _parseTime(value) {
+    return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
+
+  _formatTime(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.floor(seconds % 60);
+    const mm = h > 0 ? String(m).padStart(2, '0') : String(m);
+    return `${h > 0 ? `${h}:` : ''}${mm}:${String(s).padStart(2, '0')}`;
   }
 
   /**
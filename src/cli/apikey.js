@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Manage API keys from the command line (works while the server is running)
+ *
+ *   node src/cli/apikey.js create <name> [--admin] [--max-jobs N] [--max-bytes N] [--max-disk N]
+ *   node src/cli/apikey.js list
+ *   node src/cli/apikey.js quota <id> [--max-jobs N] [--max-bytes N] [--max-disk N]
+ *   node src/cli/apikey.js revoke <id>
+ */
+
+const apiKeyService = require('../services/apikey.service');
+
+const QUOTA_FLAGS = {
+  '--max-jobs': 'maxConcurrentJobs',
+  '--max-bytes': 'maxBytesDownloaded',
+  '--max-disk': 'maxDiskBytes'
+};
+
+function parseArgs(args) {
+  const positional = [];
+  const quotas = {};
+  let admin = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--admin') {
+      admin = true;
+    } else if (QUOTA_FLAGS[args[i]]) {
+      quotas[QUOTA_FLAGS[args[i]]] = Number(args[++i]);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, quotas, admin };
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, quotas, admin } = parseArgs(rest);
+
+  const errors = apiKeyService.validateQuotas(quotas);
+  if (errors.length > 0) {
+    fail(errors.join('\n'));
+  }
+
+  switch (command) {
+    case 'create': {
+      if (!positional[0]) fail('Usage: apikey create <name> [--admin] [--max-jobs N] [--max-bytes N] [--max-disk N]');
+
+      const created = apiKeyService.create({ name: positional[0], admin, quotas });
+      console.log(`Created key ${created.id} (${created.name}${created.admin ? ', admin' : ''})`);
+      console.log(`API key (shown once): ${created.key}`);
+      break;
+    }
+
+    case 'list':
+      for (const key of apiKeyService.list()) {
+        const state = key.revokedAt ? 'revoked' : 'active';
+        console.log(`${key.id}  ${key.prefix}…  ${key.name}${key.admin ? ' [admin]' : ''}  ${state}  ${JSON.stringify(key.quotas)}`);
+      }
+      break;
+
+    case 'quota': {
+      const updated = positional[0] && apiKeyService.update(positional[0], { quotas });
+      if (!updated) fail('Unknown key id');
+      console.log(`${updated.id}: ${JSON.stringify(updated.quotas)}`);
+      break;
+    }
+
+    case 'revoke': {
+      const revoked = positional[0] && apiKeyService.revoke(positional[0]);
+      if (!revoked) fail('Unknown key id');
+      console.log(`Revoked ${revoked.id} (${revoked.name})`);
+      break;
+    }
+
+    default:
+      fail('Usage: apikey <create|list|quota|revoke> ...');
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,94 @@
+/**
+ * API key authentication and job ownership checks
+ *
+ * The key is read from `X-API-Key`, `Authorization: Bearer <key>`, or the
+ * `api_key` query parameter (for EventSource, which cannot set headers; it is
+ * redacted from the access log).
+ * With API_AUTH=false every request passes and jobs have no owner.
+ */
+
+const apiKeyService = require('../services/apikey.service');
+const jobManager = require('../services/job.manager');
+
+function readKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header;
+
+  const authorization = req.get('authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return req.query.api_key || null;
+}
+
+/**
+ * Require a valid API key (`admin: true` also requires an admin key)
+ * Sets req.apiKey (null when authentication is disabled)
+ */
+function requireApiKey({ admin = false } = {}) {
+  return (req, res, next) => {
+    if (!apiKeyService.enabled) {
+      req.apiKey = null;
+      return next();
+    }
+
+    const key = readKey(req);
+    const apiKey = apiKeyService.authenticate(key);
+
+    if (!apiKey) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="api"');
+      return res.status(401).json({ error: key ? 'Invalid or revoked API key' : 'API key required' });
+    }
+
+    if (admin && !apiKey.admin) {
+      return res.status(403).json({ error: 'Admin API key required' });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+/**
+ * Whether the request's key may see/control a job
+ */
+function canAccessJob(req, job) {
+  return !req.apiKey || req.apiKey.admin || job.owner === req.apiKey.id;
+}
+
+/**
+ * Load req.params.jobId into req.job, enforcing ownership
+ * (use after requireApiKey)
+ */
+function ownJob(req, res, next) {
+  const job = jobManager.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!canAccessJob(req, job)) {
+    return res.status(403).json({ error: 'Job belongs to another API key' });
+  }
+
+  req.job = job;
+  next();
+}
+
+/**
+ * Send a 429 for a quota returned by apiKeyService.checkQuota
+ */
+function quotaExceeded(res, exceeded) {
+  return res.status(429).json({
+    error: `Quota exceeded: ${exceeded.quota}`,
+    ...exceeded
+  });
+}
+
+module.exports = {
+  requireApiKey,
+  canAccessJob,
+  ownJob,
+  quotaExceeded
+};
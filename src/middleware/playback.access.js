@@ -0,0 +1,128 @@
+/**
+ * Access checks shared by everything a player fetches for a job:
+ * static files under /hls/<jobId>/ and encryption keys.
+ * Keeping them in one place means keys are never easier to get than segments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const urlSigner = require('../utils/url.signer');
+const playlistGenerator = require('../utils/playlist.generator');
+const thumbnailSprites = require('../utils/thumbnail.sprites');
+
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Decoded request path, or null if it does not decode
+ */
+function decodePath(req) {
+  try {
+    return decodeURIComponent(req.path);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Express middleware; `getJobId(req)` extracts the job the request is for.
+ * Requires a valid `?token=` unless ALLOW_UNSIGNED_PLAYBACK is set
+ * (a token that is present is always checked). Paths with `.`/`..` parts
+ * are refused, as express.static would resolve them into another job.
+ */
+function playbackAccess(getJobId = (req) => req.params.jobId) {
+  return (req, res, next) => {
+    const decodedPath = decodePath(req);
+    if (decodedPath === null) {
+      return res.status(400).json({ error: 'Malformed path' });
+    }
+    if (decodedPath.split('/').some(part => part === '.' || part === '..')) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const jobId = getJobId(req);
+
+    if (!jobId || !JOB_ID_PATTERN.test(jobId)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const { token } = req.query;
+
+    if (!token && urlSigner.allowUnsigned) {
+      req.playbackJobId = jobId;
+      return next();
+    }
+
+    const result = urlSigner.verify(token, {
+      jobId,
+      ip: req.ip,
+      referer: req.get('referer')
+    });
+
+    if (!result.valid) {
+      return res.status(token ? 403 : 401).json({ error: result.error });
+    }
+
+    req.playbackJobId = jobId;
+    req.playbackToken = token;
+    next();
+  };
+}
+
+/**
+ * Serve playlists and thumbnails.vtt with the request's token appended to
+ * every URI inside, so child playlists, segments, keys and sprites are
+ * validated too. Everything else falls through to express.static.
+ */
+function signedPlaylists(outputDir) {
+  const root = path.resolve(outputDir);
+
+  return (req, res, next) => {
+    const isPlaylist = req.path.endsWith('.m3u8');
+    const isVtt = path.basename(req.path) === 'thumbnails.vtt';
+
+    // Hidden folders (output being encrypted) are never served
+    const hidden = req.path.split('/').some(part => part.startsWith('.'));
+
+    if (!req.playbackToken || (!isPlaylist && !isVtt) || hidden) {
+      return next();
+    }
+
+    const decodedPath = decodePath(req);
+    if (decodedPath === null) {
+      return next();
+    }
+
+    const filePath = path.resolve(root, '.' + decodedPath);
+    const jobDir = path.join(root, req.playbackJobId);
+    if (!filePath.startsWith(jobDir + path.sep) || !fs.existsSync(filePath)) {
+      return next();
+    }
+
+    const query = `token=${encodeURIComponent(req.playbackToken)}`;
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    // Token-bearing responses must not be shared between viewers
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    if (isPlaylist) {
+      res.type('application/vnd.apple.mpegurl');
+      res.send(playlistGenerator.appendQuery(content, query));
+    } else {
+      res.type('text/vtt');
+      res.send(thumbnailSprites.appendQuery(content, query));
+    }
+  };
+}
+
+/**
+ * Job id from a /hls/<jobId>/<file> path (mounted at /hls)
+ */
+function jobIdFromPath(req) {
+  return req.path.split('/')[1];
+}
+
+module.exports = {
+  playbackAccess,
+  signedPlaylists,
+  jobIdFromPath
+};
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyService = require('../services/apikey.service');
+const jobManager = require('../services/job.manager');
+const storageManager = require('../services/storage.manager');
+const { requireApiKey } = require('../middleware/api.auth');
+
+// Everything here needs an admin key
+router.use(requireApiKey({ admin: true }));
+
+/**
+ * GET /api/admin/keys
+ * List API keys (hashes are never returned)
+ */
+router.get('/keys', (req, res) => {
+  res.json({ keys: apiKeyService.list() });
+});
+
+/**
+ * POST /api/admin/keys
+ * Create an API key; the plaintext key is only returned in this response
+ * Body: { name, admin?: boolean, quotas?: { maxConcurrentJobs, maxBytesDownloaded, maxDiskBytes } }
+ */
+router.post('/keys', (req, res) => {
+  const { name, admin = false, quotas = {} } = req.body;
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  if (typeof admin !== 'boolean') {
+    return res.status(400).json({ error: 'admin must be a boolean' });
+  }
+
+  const errors = apiKeyService.validateQuotas(quotas);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid quotas', details: errors });
+  }
+
+  res.status(201).json(apiKeyService.create({ name, admin, quotas }));
+});
+
+/**
+ * GET /api/admin/keys/:id
+ * Key details with current usage against its quotas
+ */
+router.get('/keys/:id', (req, res) => {
+  const record = apiKeyService.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  res.json({
+    ...apiKeyService.describe(record),
+    current: apiKeyService.getUsage(record, jobManager.getAllJobs())
+  });
+});
+
+/**
+ * PUT /api/admin/keys/:id
+ * Rename a key or change its quota overrides
+ */
+router.put('/keys/:id', (req, res) => {
+  const { name, quotas } = req.body;
+
+  if (name !== undefined && (!name || typeof name !== 'string')) {
+    return res.status(400).json({ error: 'name must be a non-empty string' });
+  }
+
+  const errors = apiKeyService.validateQuotas(quotas);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid quotas', details: errors });
+  }
+
+  const updated = apiKeyService.update(req.params.id, { name, quotas });
+  if (!updated) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  res.json(updated);
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke a key (its jobs keep their owner)
+ */
+router.delete('/keys/:id', (req, res) => {
+  const revoked = apiKeyService.revoke(req.params.id);
+
+  if (!revoked) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  res.json(revoked);
+});
+
+/**
+ * GET /api/admin/storage
+ * Disk usage per job and of orphaned output folders
+ */
+router.get('/storage', (req, res) => {
+  res.json(storageManager.getUsage());
+});
+
+/**
+ * POST /api/admin/storage/sweep
+ * Apply the retention policy now
+ */
+router.post('/storage/sweep', (req, res) => {
+  res.json(storageManager.sweep());
+});
+
+/**
+ * PUT /api/admin/jobs/:jobId/pin
+ * Pin a job so retention never deletes it (or unpin it)
+ * Body: { pinned: boolean }
+ */
+router.put('/jobs/:jobId/pin', (req, res) => {
+  const { pinned } = req.body;
+
+  if (typeof pinned !== 'boolean') {
+    return res.status(400).json({ error: 'pinned must be a boolean' });
+  }
+
+  const job = storageManager.setPinned(req.params.jobId, pinned);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({ jobId: job.id, pinned: job.pinned });
+});
+
+module.exports = router;
@@ -1,48 +1,92 @@
 const express = require('express');
 const router = express.Router();
 const ffmpegService = require('../services/ffmpeg.service');
-const { v4: uuidv4 } = require('uuid');
-
-// Track conversion jobs
-const jobs = new Map();
+const jobManager = require('../services/job.manager');
+const pipelineService = require('../services/pipeline.service');
+const apiKeyService = require('../services/apikey.service');
+const urlPolicy = require('../utils/url.policy');
+const dedupService = require('../services/dedup.service');
+const webhookService = require('../services/webhook.service');
+const sourceRelay = require('../services/source.relay');
+const { parseJobOptions } = require('../utils/job.options');
+const { requireApiKey, ownJob, quotaExceeded } = require('../middleware/api.auth');
 
 /**
  * POST /api/convert
- * Start a new conversion job
+ * Start a conversion with an explicit audio track selection
+ *
+ * Body: { inputUrl, audioTracks?: [{ index, name?, language?, default? }],
+ *         outputName?, force?, ...the options of POST /api/stream/start }
+ * `index` is the 0-based audio stream of the source (see /api/convert/probe);
+ * tracks are listed in the given order. Conversions are regular jobs, so
+ * progress, status and cancel go through /api/stream, and an identical
+ * request reuses the existing job unless `force` is true.
  */
-router.post('/', async (req, res) => {
+router.post('/', requireApiKey(), async (req, res) => {
   try {
-    const { inputUrl, audioTracks, outputName } = req.body;
+    const { inputUrl, outputName, force = false } = req.body;
 
     if (!inputUrl) {
       return res.status(400).json({ error: 'inputUrl is required' });
     }
 
-    const jobId = uuidv4();
-    const outputDir = `./output/${jobId}`;
-
-    // Start conversion in background
-    jobs.set(jobId, { status: 'processing', progress: 0 });
-
-    ffmpegService.convertToHLS({
-      inputUrl,
-      outputDir,
-      audioTracks: audioTracks || [
-        { index: 0, language: 'ja', name: 'Japanese', default: true },
-        { index: 1, language: 'en', name: 'English', default: false }
-      ],
-      onProgress: (progress) => {
-        jobs.set(jobId, { status: 'processing', progress });
-      },
-      onComplete: (result) => {
-        jobs.set(jobId, { status: 'complete', ...result });
-      },
-      onError: (error) => {
-        jobs.set(jobId, { status: 'error', error: error.message });
+    try {
+      new URL(inputUrl);
+    } catch {
+      return res.status(400).json({ error: 'Invalid URL format' });
+    }
+
+    try {
+      await urlPolicy.validate(inputUrl);
+    } catch (error) {
+      return res.status(403).json({ error: error.message });
+    }
+
+    if (outputName !== undefined && (typeof outputName !== 'string' || !outputName.trim())) {
+      return res.status(400).json({ error: 'outputName must be a non-empty string' });
+    }
+
+    const parsed = parseJobOptions(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error, ...parsed.details });
+    }
+
+    if (typeof force !== 'boolean') {
+      return res.status(400).json({ error: 'force must be a boolean' });
+    }
+
+    const owner = req.apiKey?.id || null;
+    const dedupKey = dedupService.urlKey(inputUrl, parsed.options);
+
+    if (!force) {
+      const existing = await dedupService.findUrlJob(dedupKey, owner, inputUrl);
+      if (existing) {
+        webhookService.register(existing, parsed.webhook);
+        return res.json(dedupService.describe(existing));
       }
-    });
+    }
+
+    const exceeded = apiKeyService.checkQuota(req.apiKey, jobManager.getAllJobs());
+    if (exceeded) {
+      return quotaExceeded(res, exceeded);
+    }
 
-    res.json({ jobId, status: 'started' });
+    const job = jobManager.createJob(inputUrl, {
+      ...parsed.options,
+      fileName: outputName ? outputName.trim() : null
+    }, parsed.priority, owner);
+    jobManager.updateJob(job.id, { dedupKey });
+    webhookService.register(job, parsed.webhook);
+
+    pipelineService.start(job);
+
+    res.json({
+      jobId: job.id,
+      status: 'started',
+      progressUrl: `/api/stream/progress/${job.id}`,
+      statusUrl: `/api/stream/status/${job.id}`,
+      cancelUrl: `/api/stream/cancel/${job.id}`
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -50,24 +94,17 @@ router.post('/', async (req, res) => {
 
 /**
  * GET /api/convert/:jobId
- * Get conversion job status
+ * Get conversion job status (same as /api/stream/status/:jobId)
  */
-router.get('/:jobId', (req, res) => {
-  const { jobId } = req.params;
-  const job = jobs.get(jobId);
-
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
-
-  res.json({ jobId, ...job });
+router.get('/:jobId', requireApiKey(), ownJob, (req, res) => {
+  res.json(req.job);
 });
 
 /**
  * POST /api/convert/probe
  * Probe a video file to get stream info
  */
-router.post('/probe', async (req, res) => {
+router.post('/probe', requireApiKey(), async (req, res) => {
   try {
     const { inputUrl } = req.body;
 
@@ -75,8 +112,19 @@ router.post('/probe', async (req, res) => {
       return res.status(400).json({ error: 'inputUrl is required' });
     }
 
-    const info = await ffmpegService.probeFile(inputUrl);
-    res.json(info);
+    try {
+      await urlPolicy.validate(inputUrl);
+    } catch (error) {
+      return res.status(403).json({ error: error.message });
+    }
+
+    // ffprobe reads through the relay so redirects are policy-checked too
+    const source = await sourceRelay.register(inputUrl);
+    try {
+      res.json(await ffmpegService.probeFile(source));
+    } finally {
+      sourceRelay.release(source);
+    }
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
+const fs = require('fs');
+const urlSigner = require('../utils/url.signer');
+const jobManager = require('../services/job.manager');
+const { playbackAccess } = require('../middleware/playback.access');
+const { requireApiKey, ownJob } = require('../middleware/api.auth');
+
+const OUTPUT_DIR = path.join(__dirname, '../../output');
 
 /**
  * GET /api/player/config
@@ -23,14 +30,40 @@ router.get('/config', (req, res) => {
   });
 });
 
+/**
+ * Embeds are for callers that may already play the job: a valid playback
+ * token (which the embed reuses), or the API key owning the job
+ */
+function embedAccess(req, res, next) {
+  if (!req.query.token) {
+    return requireApiKey()(req, res, () => ownJob(req, res, next));
+  }
+
+  playbackAccess()(req, res, () => {
+    if (!jobManager.getJob(req.params.jobId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    next();
+  });
+}
+
 /**
  * GET /api/player/embed/:jobId
  * Get embeddable player HTML
  */
-router.get('/embed/:jobId', (req, res) => {
+router.get('/embed/:jobId', embedAccess, (req, res) => {
   const { jobId } = req.params;
   const { width = 854, height = 480 } = req.query;
 
+  // API key callers get a short-lived playback token for this embed
+  const token = req.playbackToken || urlSigner.sign({ jobId });
+  const query = `?token=${encodeURIComponent(token)}`;
+  const src = `/hls/${jobId}/master.m3u8${query}`;
+
+  // Show the generated poster instead of a black box until play
+  const hasPoster = fs.existsSync(path.join(OUTPUT_DIR, path.basename(jobId), 'poster.jpg'));
+  const poster = hasPoster ? `/api/stream/${jobId}/poster.jpg${query}` : null;
+
   const html = `
 <!DOCTYPE html>
 <html>
@@ -45,9 +78,10 @@ router.get('/embed/:jobId', (req, res) => {
   <script src="/player/hls-player.js"></script>
   <script>
     const player = new HLSPlayer('#player-container', {
-      src: '/hls/${jobId}/master.m3u8',
+      src: ${JSON.stringify(src)},
       width: ${width},
-      height: ${height}
+      height: ${height},
+      poster: ${JSON.stringify(poster)}
     });
   </script>
 </body>
@@ -1,18 +1,36 @@
 const express = require('express');
 const router = express.Router();
-const downloadService = require('../services/download.service');
-const ffmpegService = require('../services/ffmpeg.service');
 const jobManager = require('../services/job.manager');
+const pipelineService = require('../services/pipeline.service');
+const renditionLadder = require('../utils/rendition.ladder');
+const encodingProfiles = require('../utils/encoding.profiles');
+const encryptionService = require('../services/encryption.service');
+const urlSigner = require('../utils/url.signer');
+const apiKeyService = require('../services/apikey.service');
+const urlPolicy = require('../utils/url.policy');
+const dedupService = require('../services/dedup.service');
+const webhookService = require('../services/webhook.service');
+const { parseJobOptions } = require('../utils/job.options');
+const { parseJobQuery, queryJobs } = require('../utils/job.query');
+const { playbackAccess } = require('../middleware/playback.access');
+const { requireApiKey, ownJob, canAccessJob, quotaExceeded } = require('../middleware/api.auth');
 const path = require('path');
 const fs = require('fs');
 
+const OUTPUT_DIR = path.join(__dirname, '../../output');
+
+// Preview images served from a job's output folder
+const PREVIEW_FILES = ['poster.jpg', 'preview.gif', 'contact.jpg'];
+
 /**
  * POST /api/stream/start
  * Start streaming a video from URL
+ * The same source with the same options attaches to the existing job
+ * (running, or ready and unchanged) unless `force` is true
  */
-router.post('/start', async (req, res) => {
+router.post('/start', requireApiKey(), async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, force = false } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
@@ -25,17 +43,44 @@ router.post('/start', async (req, res) => {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
+    // Scheme, domain lists and resolved addresses (redirects are checked while fetching)
+    try {
+      await urlPolicy.validate(url);
+    } catch (error) {
+      return res.status(403).json({ error: error.message });
+    }
+
+    const parsed = parseJobOptions(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error, ...parsed.details });
+    }
+
+    if (typeof force !== 'boolean') {
+      return res.status(400).json({ error: 'force must be a boolean' });
+    }
+
+    const owner = req.apiKey?.id || null;
+    const dedupKey = dedupService.urlKey(url, parsed.options);
+
+    if (!force) {
+      const existing = await dedupService.findUrlJob(dedupKey, owner, url);
+      if (existing) {
+        webhookService.register(existing, parsed.webhook);
+        return res.json(dedupService.describe(existing));
+      }
+    }
+
+    const exceeded = apiKeyService.checkQuota(req.apiKey, jobManager.getAllJobs());
+    if (exceeded) {
+      return quotaExceeded(res, exceeded);
+    }
+
     // Create job
-    const job = jobManager.createJob(url);
+    const job = jobManager.createJob(url, parsed.options, parsed.priority, owner);
+    jobManager.updateJob(job.id, { dedupKey });
+    webhookService.register(job, parsed.webhook);
 
-    // Start processing in background
-    processVideo(job.id, url).catch(error => {
-      jobManager.updateJob(job.id, {
-        status: 'error',
-        message: error.message,
-        step: 'analyze'
-      });
-    });
+    pipelineService.start(job);
 
     res.json({ jobId: job.id, status: 'started' });
   } catch (error) {
@@ -43,11 +88,48 @@ router.post('/start', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/stream/ladders
+ * List available rendition ladder presets
+ */
+router.get('/ladders', (req, res) => {
+  res.json(renditionLadder.getPresets());
+});
+
+/**
+ * GET /api/stream/profiles
+ * List encoding profiles and their settings
+ */
+router.get('/profiles', (req, res) => {
+  res.json(encodingProfiles.getProfiles());
+});
+
+/**
+ * GET /api/stream/jobs
+ * List jobs with filters, sorting, cursor pagination and counts per status
+ * (see utils/job.query for the parameters). Admin keys see every job,
+ * other keys only their own.
+ */
+router.get('/jobs', requireApiKey(), (req, res) => {
+  const parsed = parseJobQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const { query } = parsed;
+  if (req.apiKey && !req.apiKey.admin) {
+    query.owner = req.apiKey.id;
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(queryJobs(jobManager.getAllJobs(), query));
+});
+
 /**
  * GET /api/stream/progress/:jobId
  * SSE endpoint for progress updates
  */
-router.get('/progress/:jobId', (req, res) => {
+router.get('/progress/:jobId', requireApiKey(), ownJob, (req, res) => {
   const { jobId } = req.params;
 
   // Set up SSE
@@ -57,17 +139,14 @@ router.get('/progress/:jobId', (req, res) => {
   res.setHeader('X-Accel-Buffering', 'no');
 
   // Send initial status
-  const job = jobManager.getJob(jobId);
-  if (job) {
-    res.write(`data: ${JSON.stringify(job)}\n\n`);
-  }
+  res.write(`data: ${JSON.stringify(req.job)}\n\n`);
 
   // Subscribe to updates
   const unsubscribe = jobManager.subscribe(jobId, (data) => {
     res.write(`data: ${JSON.stringify(data)}\n\n`);
 
     // Close connection when done
-    if (data.status === 'ready' || data.status === 'error') {
+    if (['ready', 'error', 'cancelled'].includes(data.status)) {
       setTimeout(() => {
         res.end();
       }, 1000);
@@ -84,141 +163,339 @@ router.get('/progress/:jobId', (req, res) => {
  * GET /api/stream/status/:jobId
  * Get current job status (for polling fallback)
  */
-router.get('/status/:jobId', (req, res) => {
+router.get('/status/:jobId', requireApiKey(), ownJob, (req, res) => {
+  res.json(req.job);
+});
+
+/**
+ * POST /api/stream/cancel/:jobId
+ * Cancel a streaming job
+ */
+router.post('/cancel/:jobId', requireApiKey(), ownJob, (req, res) => {
+  jobManager.cancelJob(req.job.id);
+
+  res.json({ success: true });
+});
+
+/**
+ * Queue state as the caller may see it: admins get every job, other keys
+ * only their own (with their positions in the shared queue)
+ */
+function queueStateFor(req) {
+  const state = jobManager.getQueueState();
+  const visible = (jobId) => {
+    const job = jobManager.getJob(jobId);
+    return Boolean(job) && canAccessJob(req, job);
+  };
+
+  for (const stage of Object.values(state.stages)) {
+    stage.running = stage.running.filter(visible);
+    stage.waiting = stage.waiting.filter(entry => visible(entry.jobId));
+  }
+  return state;
+}
+
+/**
+ * GET /api/stream/queue
+ * Current state of the download and transcode queues
+ */
+router.get('/queue', requireApiKey(), (req, res) => {
+  res.json(queueStateFor(req));
+});
+
+/**
+ * POST /api/stream/queue/pause
+ * Stop starting queued jobs (running jobs continue)
+ */
+router.post('/queue/pause', requireApiKey({ admin: true }), (req, res) => {
+  jobManager.pauseQueue();
+  res.json(jobManager.getQueueState());
+});
+
+/**
+ * POST /api/stream/queue/resume
+ * Start dispatching queued jobs again
+ */
+router.post('/queue/resume', requireApiKey({ admin: true }), (req, res) => {
+  jobManager.resumeQueue();
+  res.json(jobManager.getQueueState());
+});
+
+/**
+ * POST /api/stream/queue/:jobId
+ * Change a job's priority and/or move it to a position in its queue
+ * The queue is shared, so only admins can raise a priority or pick a
+ * position; owners can lower the priority of their jobs
+ */
+router.post('/queue/:jobId', requireApiKey(), ownJob, (req, res) => {
   const { jobId } = req.params;
-  const job = jobManager.getJob(jobId);
+  const { priority, position } = req.body;
 
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return res.status(400).json({ error: 'priority must be an integer' });
+  }
+
+  if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+    return res.status(400).json({ error: 'position must be a positive integer' });
   }
 
-  res.json(job);
+  const admin = !req.apiKey || req.apiKey.admin;
+  if (!admin && position !== undefined) {
+    return res.status(403).json({ error: 'Admin API key required to move jobs in the queue' });
+  }
+  if (!admin && priority !== undefined && priority > (req.job.priority || 0)) {
+    return res.status(403).json({ error: 'Admin API key required to raise a priority' });
+  }
+
+  if (priority !== undefined) {
+    jobManager.setJobPriority(jobId, priority);
+  }
+
+  if (position !== undefined && !jobManager.moveInQueue(jobId, position)) {
+    return res.status(409).json({ error: 'Job is not waiting in a queue' });
+  }
+
+  res.json(queueStateFor(req));
 });
 
 /**
- * POST /api/stream/cancel/:jobId
- * Cancel a streaming job
+ * Run a job again with its options (resume and retry)
+ * A source kept from the previous run is reused, so the job resumes at
+ * conversion; otherwise it starts over (a partial download is resumed)
  */
-router.post('/cancel/:jobId', (req, res) => {
+function restartJob(req, res, { statuses, refusal, status }) {
   const { jobId } = req.params;
+  const { job } = req;
 
-  const cancelled = jobManager.cancelJob(jobId);
+  if (!statuses.includes(job.status)) {
+    return res.status(409).json({ error: `Job is ${job.status}, ${refusal}` });
+  }
 
-  if (!cancelled) {
-    return res.status(404).json({ error: 'Job not found' });
+  const exceeded = apiKeyService.checkQuota(req.apiKey, jobManager.getAllJobs());
+  if (exceeded) {
+    return quotaExceeded(res, exceeded);
   }
 
-  res.json({ success: true });
+  const sourceKept = Boolean(job.sourceFile && fs.existsSync(job.sourceFile));
+
+  jobManager.updateJob(jobId, {
+    status: 'created',
+    progress: 0,
+    message: null,
+    previousStatus: null,
+    autoRetries: 0,
+    nextRetryAt: null
+  });
+
+  pipelineService.start(job);
+
+  res.json({ jobId, status, resumeFrom: sourceKept ? 'convert' : 'analyze' });
+}
+
+/**
+ * POST /api/stream/resume/:jobId
+ * Restart a job that was interrupted by a server restart
+ */
+router.post('/resume/:jobId', requireApiKey(), ownJob, (req, res) => {
+  restartJob(req, res, {
+    statuses: ['interrupted'],
+    refusal: 'only interrupted jobs can be resumed',
+    status: 'resumed'
+  });
 });
 
 /**
- * Process video: download, analyze, convert
+ * POST /api/stream/retry/:jobId
+ * Run a failed (or interrupted) job again, also cancelling a pending
+ * automatic retry
  */
-async function processVideo(jobId, url) {
-  const outputDir = path.join(__dirname, '../../output', jobId);
+router.post('/retry/:jobId', requireApiKey(), ownJob, (req, res) => {
+  restartJob(req, res, {
+    statuses: ['error', 'interrupted', 'retrying'],
+    refusal: 'only failed or interrupted jobs can be retried',
+    status: 'retried'
+  });
+});
 
-  try {
-    // Step 1: Analyze
-    jobManager.updateJob(jobId, { status: 'analyzing' });
+/**
+ * POST /api/stream/reprocess/:jobId
+ * Convert a job's source again with different settings
+ * Body: any of { ladder, profile, encoding, encrypt, audioTracks, keepSource };
+ * the rest of the job's options stay as they were, and `audioTracks: null`
+ * goes back to every track. The source kept by the job (keepSource, or a
+ * failed run) is reused; URL jobs without one download it again. The
+ * current output is replaced once the new conversion starts.
+ */
+router.post('/reprocess/:jobId', requireApiKey(), ownJob, (req, res) => {
+  const { jobId } = req.params;
+  const { job } = req;
+  const body = req.body || {};
 
-    const fileInfo = await downloadService.analyze(url);
+  if (!['ready', 'error', 'interrupted'].includes(job.status) || jobManager.isRunning(jobId)) {
+    return res.status(409).json({ error: `Job is ${job.status}, only finished or failed jobs can be reprocessed` });
+  }
 
-    jobManager.updateJob(jobId, {
-      status: 'analyzed',
-      fileInfo: {
-        name: fileInfo.name,
-        size: fileInfo.size,
-        contentType: fileInfo.contentType
-      }
-    });
+  const sourceKept = Boolean(job.sourceFile && fs.existsSync(job.sourceFile));
+  if (!sourceKept && !job.url) {
+    return res.status(409).json({ error: 'The source of this job was not kept, it cannot be reprocessed' });
+  }
 
-    // Check if cancelled
-    if (jobManager.isCancelled(jobId)) {
-      throw new Error('Job cancelled');
-    }
+  const current = job.options || {};
+  const has = (field) => body[field] !== undefined;
+  const changeEncoding = has('profile') || has('encoding');
+
+  const parsed = parseJobOptions({
+    ladder: has('ladder') ? body.ladder : current.ladder,
+    priority: job.priority || 0,
+    progressive: Boolean(current.progressive),
+    profile: body.profile,
+    encoding: body.encoding,
+    encrypt: has('encrypt') ? body.encrypt : Boolean(current.encrypt),
+    audioTracks: has('audioTracks') ? body.audioTracks ?? undefined : current.audioTracks ?? undefined,
+    keepSource: has('keepSource') ? body.keepSource : Boolean(current.keepSource)
+  }, { allowProgressive: Boolean(job.url) });
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error, ...parsed.details });
+  }
 
-    // Step 2: Download
-    const inputPath = path.join(outputDir, 'input' + path.extname(fileInfo.name || '.mkv'));
-    fs.mkdirSync(outputDir, { recursive: true });
-
-    await downloadService.download(url, inputPath, (progress) => {
-      jobManager.updateJob(jobId, {
-        status: 'downloading',
-        progress: progress.percent,
-        speed: progress.speed,
-        eta: progress.eta
-      });
-    });
-
-    if (jobManager.isCancelled(jobId)) {
-      throw new Error('Job cancelled');
-    }
+  const exceeded = apiKeyService.checkQuota(req.apiKey, jobManager.getAllJobs());
+  if (exceeded) {
+    return quotaExceeded(res, exceeded);
+  }
 
-    jobManager.updateJob(jobId, { status: 'downloaded' });
+  const options = {
+    ...current,
+    ...parsed.options,
+    encoding: changeEncoding ? parsed.options.encoding : current.encoding
+  };
+
+  jobManager.updateJob(jobId, {
+    options,
+    status: 'created',
+    progress: 0,
+    message: null,
+    previousStatus: null,
+    playable: false,
+    streamUrl: null,
+    autoRetries: 0,
+    nextRetryAt: null,
+    // Uploads are keyed by content hash, which the job does not keep
+    dedupKey: job.url ? dedupService.urlKey(job.url, options) : null
+  });
 
-    // Step 3: Probe file for audio tracks
-    const probeInfo = await ffmpegService.probeFile(inputPath);
+  pipelineService.start(jobManager.getJob(jobId));
 
-    jobManager.updateJob(jobId, {
-      fileInfo: {
-        name: fileInfo.name,
-        size: fileInfo.size,
-        duration: probeInfo.duration,
-        resolution: probeInfo.video[0] ? 
-          `${probeInfo.video[0].width}x${probeInfo.video[0].height}` : null,
-        audioTracks: probeInfo.audio
-      }
-    });
-
-    // Step 4: Convert to HLS
-    const audioTracks = probeInfo.audio.map((a, i) => ({
-      index: i,
-      language: a.language || 'und',
-      name: a.title || `Audio ${i + 1}`,
-      default: i === 0
-    }));
-
-    await ffmpegService.convertToHLS({
-      inputPath,
-      outputDir,
-      audioTracks,
-      onProgress: (progress) => {
-        if (!jobManager.isCancelled(jobId)) {
-          jobManager.updateJob(jobId, {
-            status: 'converting',
-            progress
-          });
-        }
-      }
-    });
+  res.json({ jobId, status: 'reprocessing', resumeFrom: sourceKept ? 'convert' : 'analyze', options });
+});
 
-    if (jobManager.isCancelled(jobId)) {
-      throw new Error('Job cancelled');
-    }
+/**
+ * GET /api/stream/:jobId/webhooks
+ * Registered callback URLs and the delivery log of a job
+ */
+router.get('/:jobId/webhooks', requireApiKey(), ownJob, (req, res) => {
+  res.json(webhookService.describe(req.job.id));
+});
+
+/**
+ * POST /api/stream/:jobId/webhooks/:deliveryId/redeliver
+ * Send a logged delivery again (same payload, new delivery id)
+ */
+router.post('/:jobId/webhooks/:deliveryId/redeliver', requireApiKey(), ownJob, (req, res) => {
+  const delivery = webhookService.redeliver(req.job.id, req.params.deliveryId);
 
-    // Step 5: Ready
-    const streamUrl = `/hls/${jobId}/master.m3u8`;
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
 
-    jobManager.updateJob(jobId, {
-      status: 'ready',
-      streamUrl,
-      originalUrl: url,
-      fileName: fileInfo.name
-    });
+  res.status(202).json(delivery);
+});
 
-    // Clean up input file (optional - keep if you want to allow re-processing)
-    // fs.unlinkSync(inputPath);
+/**
+ * POST /api/stream/:jobId/link
+ * Mint a signed, expiring playback URL
+ * Body: { ttl?: seconds, bindIp?: boolean, referrer?: origin URL }
+ */
+router.post('/:jobId/link', requireApiKey(), ownJob, (req, res) => {
+  const { jobId } = req.params;
+  const { ttl = urlSigner.defaultTtl, bindIp = false, referrer } = req.body || {};
+  const { job } = req;
 
-  } catch (error) {
-    // Clean up on error
-    try {
-      if (fs.existsSync(outputDir)) {
-        fs.rmSync(outputDir, { recursive: true, force: true });
-      }
-    } catch {}
+  if (job.status !== 'ready' && !job.playable) {
+    return res.status(409).json({ error: 'Stream is not playable yet' });
+  }
 
-    throw error;
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > urlSigner.maxTtl) {
+    return res.status(400).json({ error: `ttl must be an integer between 1 and ${urlSigner.maxTtl} seconds` });
   }
-}
+
+  if (typeof bindIp !== 'boolean') {
+    return res.status(400).json({ error: 'bindIp must be a boolean' });
+  }
+
+  const referrerOrigin = referrer ? urlSigner.originOf(referrer) : null;
+  if (referrer && !referrerOrigin) {
+    return res.status(400).json({ error: 'referrer must be an absolute URL' });
+  }
+
+  const token = urlSigner.sign({
+    jobId,
+    ttl,
+    ip: bindIp ? req.ip : null,
+    referrer: referrerOrigin
+  });
+  const query = `?token=${encodeURIComponent(token)}`;
+
+  res.json({
+    url: `/hls/${jobId}/master.m3u8${query}`,
+    thumbnailsUrl: job.thumbnailsUrl ? `${job.thumbnailsUrl}${query}` : null,
+    posterUrl: job.posterUrl ? `${job.posterUrl}${query}` : null,
+    token,
+    expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+  });
+});
+
+/**
+ * GET /api/stream/:jobId/keys/:keyId
+ * AES-128 key delivery for encrypted jobs
+ */
+router.get('/:jobId/keys/:keyId', playbackAccess(), (req, res) => {
+  const { jobId, keyId } = req.params;
+  const key = encryptionService.getKey(jobId, keyId);
+
+  if (!key) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(key);
+});
+
+/**
+ * GET /api/stream/:jobId/poster.jpg (also preview.gif, contact.jpg)
+ * Preview images generated during conversion, with the same access
+ * rules as the stream itself
+ */
+router.get('/:jobId/:file', (req, res, next) => {
+  if (!PREVIEW_FILES.includes(req.params.file)) {
+    return next();
+  }
+  playbackAccess()(req, res, next);
+}, (req, res) => {
+  const { jobId, file } = req.params;
+
+  if (!jobManager.getJob(jobId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const filePath = path.join(OUTPUT_DIR, jobId, file);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Preview not available' });
+  }
+
+  res.setHeader('Cache-Control', req.playbackToken ? 'private, max-age=86400' : 'public, max-age=86400');
+  res.sendFile(filePath);
+});
 
 module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const uploadService = require('../services/upload.service');
+const jobManager = require('../services/job.manager');
+const pipelineService = require('../services/pipeline.service');
+const dedupService = require('../services/dedup.service');
+const webhookService = require('../services/webhook.service');
+const apiKeyService = require('../services/apikey.service');
+const { parseJobOptions } = require('../utils/job.options');
+const { requireApiKey, quotaExceeded } = require('../middleware/api.auth');
+const fs = require('fs');
+
+// Completions in progress, so a repeated final PATCH gets the same answer
+const completions = new Map();
+
+/**
+ * Resumable uploads (offset-based, modelled on tus)
+ *
+ *   POST   /api/upload             { fileName, size, sha256?, force?, ...job options } -> 201 { uploadId, offset, chunkSize }
+ *   HEAD   /api/upload/:uploadId   -> Upload-Offset / Upload-Length headers
+ *   GET    /api/upload/:uploadId   -> upload state (offset, status, jobId)
+ *   PATCH  /api/upload/:uploadId   raw bytes, headers Upload-Offset and optional
+ *                                  Upload-Checksum: sha256 <base64>
+ *   DELETE /api/upload/:uploadId   abort
+ *
+ * Once the last chunk arrives the file is verified and handed to the same
+ * pipeline as URL jobs; the PATCH response then carries the jobId. A file
+ * whose content and options match an existing job of the same owner reuses
+ * that job instead (and is deleted) unless `force` was set.
+ */
+
+router.use(requireApiKey());
+
+/**
+ * Load req.params.uploadId into req.upload, enforcing ownership
+ */
+function ownUpload(req, res, next) {
+  const upload = uploadService.get(req.params.uploadId);
+
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  if (req.apiKey && !req.apiKey.admin && upload.owner !== req.apiKey.id) {
+    return res.status(403).json({ error: 'Upload belongs to another API key' });
+  }
+
+  req.upload = upload;
+  next();
+}
+
+function describe(upload) {
+  return {
+    uploadId: upload.id,
+    fileName: upload.fileName,
+    size: upload.size,
+    offset: upload.offset,
+    status: upload.status,
+    jobId: upload.jobId,
+    chunkSize: uploadService.chunkSize
+  };
+}
+
+/**
+ * POST /api/upload
+ * Create an upload
+ */
+router.post('/', (req, res) => {
+  const { fileName, size, sha256 = null, force = false } = req.body;
+
+  const parsed = parseJobOptions(req.body, { allowProgressive: false });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error, ...parsed.details });
+  }
+
+  if (typeof force !== 'boolean') {
+    return res.status(400).json({ error: 'force must be a boolean' });
+  }
+
+  // The file counts against the byte and disk quotas like a download
+  const exceeded = apiKeyService.checkQuota(req.apiKey, jobManager.getAllJobs(), {
+    extraBytes: Number.isInteger(size) && size > 0 ? size : 0
+  });
+  if (exceeded) {
+    return quotaExceeded(res, exceeded);
+  }
+
+  try {
+    const upload = uploadService.create({
+      fileName,
+      size,
+      sha256,
+      owner: req.apiKey?.id || null,
+      jobRequest: parsed,
+      force
+    });
+
+    res.setHeader('Location', `${req.baseUrl}/${upload.id}`);
+    res.status(201).json(describe(upload));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * HEAD /api/upload/:uploadId
+ * Current offset, for resuming
+ */
+router.head('/:uploadId', ownUpload, (req, res) => {
+  res.setHeader('Upload-Offset', req.upload.offset);
+  res.setHeader('Upload-Length', req.upload.size);
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).end();
+});
+
+/**
+ * GET /api/upload/:uploadId
+ * Upload state
+ */
+router.get('/:uploadId', ownUpload, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(describe(req.upload));
+});
+
+/**
+ * PATCH /api/upload/:uploadId
+ * Append a chunk at Upload-Offset
+ */
+router.patch('/:uploadId', ownUpload, async (req, res) => {
+  const offset = parseInt(req.get('upload-offset'), 10);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Upload-Offset header is required' });
+  }
+
+  // Upload-Checksum: sha256 <base64 digest>
+  let checksum = null;
+  const checksumHeader = req.get('upload-checksum');
+  if (checksumHeader) {
+    const [algorithm, value] = checksumHeader.trim().split(/\s+/);
+    if (algorithm !== 'sha256' || !value) {
+      return res.status(400).json({ error: 'Upload-Checksum must be "sha256 <base64 digest>"' });
+    }
+    checksum = value;
+  }
+
+  // Already finished: a repeated final PATCH gets the upload's job
+  // (a deduplicated file is gone, but it was received in full)
+  if (req.upload.status === 'complete' && req.upload.jobId && offset === req.upload.size) {
+    res.setHeader('Upload-Offset', req.upload.size);
+    return res.json(describe({ ...req.upload, offset: req.upload.size }));
+  }
+
+  let upload;
+  try {
+    // Every byte is in already (a repeated final PATCH): only complete it
+    upload = offset === req.upload.size && req.upload.offset === req.upload.size
+      ? req.upload
+      : await uploadService.appendChunk(req.upload.id, offset, req, checksum);
+  } catch (error) {
+    if (error.offset !== undefined) {
+      res.setHeader('Upload-Offset', error.offset);
+    }
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  res.setHeader('Upload-Offset', upload.offset);
+
+  if (upload.offset < upload.size) {
+    return res.json(describe(upload));
+  }
+
+  // Last chunk: verify and start processing. The completion is registered
+  // before anything is awaited, so concurrent final PATCHes share one job
+  if (!completions.has(upload.id)) {
+    const id = upload.id;
+    completions.set(id, completeUpload(id).finally(() => completions.delete(id)));
+  }
+
+  try {
+    res.json(await completions.get(upload.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Verify a fully received upload and create (or reuse) its job
+ * Resolves with the response body of the final PATCH
+ */
+async function completeUpload(id) {
+  // Complete but without a job: the server stopped before creating it
+  const resumed = uploadService.get(id)?.status === 'complete';
+  const upload = await uploadService.complete(id);
+  if (upload.owner && !resumed) {
+    apiKeyService.recordDownload(upload.owner, upload.size);
+  }
+
+  const { options, priority, webhook } = uploadService.jobRequest(upload);
+  const dedupKey = dedupService.fileKey(upload.sha256, options);
+
+  const existing = !upload.force && dedupService.findFileJob(dedupKey, upload.owner);
+  if (existing) {
+    fs.rmSync(upload.filePath, { force: true });
+    webhookService.register(existing, webhook);
+    uploadService.attachJob(upload.id, existing.id);
+    return {
+      ...describe(upload),
+      jobId: existing.id,
+      streamUrl: existing.streamUrl || null,
+      deduplicated: true
+    };
+  }
+
+  const job = jobManager.createJob(null, {
+    ...options,
+    inputFile: upload.filePath,
+    fileName: upload.fileName
+  }, priority, upload.owner);
+  jobManager.updateJob(job.id, { dedupKey });
+  webhookService.register(job, webhook);
+
+  uploadService.attachJob(upload.id, job.id);
+  pipelineService.start(job);
+
+  return { ...describe(upload), jobId: job.id };
+}
+
+/**
+ * DELETE /api/upload/:uploadId
+ * Abort an upload and delete its data
+ */
+router.delete('/:uploadId', ownUpload, (req, res) => {
+  if (req.upload.status !== 'uploading') {
+    return res.status(409).json({ error: 'Upload is complete; cancel its job instead' });
+  }
+
+  uploadService.remove(req.upload.id);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -8,9 +8,19 @@ const path = require('path');
 const convertRoutes = require('./routes/convert');
 const playerRoutes = require('./routes/player');
 const streamRoutes = require('./routes/stream');
+const adminRoutes = require('./routes/admin');
+const uploadRoutes = require('./routes/upload');
+const watchFolderService = require('./services/watch.folder.service');
+const storageManager = require('./services/storage.manager');
+const { playbackAccess, signedPlaylists, jobIdFromPath } = require('./middleware/playback.access');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const OUTPUT_DIR = path.join(__dirname, '../output');
+
+// Client IPs (token IP binding) come from X-Forwarded-For when behind nginx
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
 
 // Security middleware
 app.use(helmet({
@@ -18,7 +28,8 @@ app.use(helmet({
   contentSecurityPolicy: false
 }));
 
-// Logging
+// Logging (EventSource sends the API key in the query string; keep it out of the logs)
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]api_key=)[^&]*/gi, '$1[redacted]'));
 if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('combined'));
 }
@@ -26,9 +37,9 @@ if (process.env.NODE_ENV !== 'test') {
 // CORS
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Range'],
-  exposedHeaders: ['Content-Length', 'Content-Range']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Range', 'Upload-Offset', 'Upload-Checksum'],
+  exposedHeaders: ['Content-Length', 'Content-Range', 'Location', 'Upload-Offset', 'Upload-Length']
 }));
 
 // Body parsing
@@ -37,8 +48,16 @@ app.use(express.json());
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
 
-// HLS output files
-app.use('/hls', express.static(path.join(__dirname, '../output'), {
+// Playback counts as an access for retention (idle expiry, LRU eviction)
+const trackAccess = (req, res, next) => {
+  storageManager.touch(req.playbackJobId);
+  next();
+};
+
+// HLS output files (signed URLs; playlists are rewritten to carry the token)
+app.use('/hls', playbackAccess(jobIdFromPath), trackAccess, signedPlaylists(OUTPUT_DIR), express.static(OUTPUT_DIR, {
+  // Also covers hidden folders (output still being encrypted)
+  dotfiles: 'ignore',
   setHeaders: (res, filePath) => {
     if (filePath.endsWith('.m3u8')) {
       res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
@@ -67,6 +86,8 @@ app.get('/health', (req, res) => {
 app.use('/api/convert', convertRoutes);
 app.use('/api/player', playerRoutes);
 app.use('/api/stream', streamRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/upload', uploadRoutes);
 
 // Serve index.html for SPA
 app.get('/', (req, res) => {
@@ -110,6 +131,8 @@ app.listen(PORT, '0.0.0.0', () => {
 ║  Environment: ${(process.env.NODE_ENV || 'development').padEnd(40)}║
 ╚═══════════════════════════════════════════════════════════╝
   `);
+
+  watchFolderService.start();
 });
 
 module.exports = app;
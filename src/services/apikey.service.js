@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '../../data');
+
+const KEY_PREFIX = 'hlsk_';
+
+// Statuses that count towards a key's concurrent job quota
+const ACTIVE_STATUSES = ['created', 'queued', 'analyzing', 'analyzed', 'downloading', 'downloaded', 'converting', 'retrying', 'cancelling'];
+
+/**
+ * API keys, job ownership and per-key quotas
+ *
+ * Keys are random secrets shown once at creation; only their SHA-256 hash is
+ * stored (DATA_PATH/apikeys.json). The file is re-read when it changes on
+ * disk, so keys created with the CLI work without a restart.
+ * Quotas (0 = unlimited): concurrent jobs, total bytes downloaded or uploaded
+ * and disk used by the key's jobs. Usage comes from the key and job records
+ * (sizes are measured once, when a job finishes), never from walking the disk.
+ */
+class ApiKeyService {
+  constructor() {
+    this.enabled = process.env.API_AUTH !== 'false';
+    this.filePath = process.env.API_KEYS_FILE ||
+      path.join(process.env.DATA_PATH || DEFAULT_DATA_PATH, 'apikeys.json');
+    this.bootstrapKey = process.env.ADMIN_API_KEY || null;
+
+    this.defaultQuotas = {
+      maxConcurrentJobs: parseInt(process.env.QUOTA_MAX_CONCURRENT_JOBS || '2', 10),
+      maxBytesDownloaded: parseInt(process.env.QUOTA_MAX_BYTES_DOWNLOADED || '0', 10),
+      maxDiskBytes: parseInt(process.env.QUOTA_MAX_DISK_BYTES || '0', 10)
+    };
+
+    const errors = this.validateQuotas(this.defaultQuotas);
+    if (errors.length > 0) {
+      throw new Error(`Invalid default quotas (QUOTA_*): ${errors.join('; ')}`);
+    }
+
+    this.keys = [];
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Create a key; the plaintext is only returned here
+   */
+  create({ name, admin = false, quotas = {} }) {
+    this._reload();
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: name || 'unnamed',
+      admin: Boolean(admin),
+      hash: this.hash(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 4),
+      quotas: { ...quotas },
+      usage: { bytesDownloaded: 0 },
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    this.keys.push(record);
+    this._save();
+
+    return { key, ...this.describe(record) };
+  }
+
+  /**
+   * Look up the key record for a plaintext key (null if unknown or revoked)
+   */
+  authenticate(key) {
+    if (!key || typeof key !== 'string') return null;
+
+    if (this.bootstrapKey && this._safeEqual(key, this.bootstrapKey)) {
+      return { id: 'bootstrap', name: 'ADMIN_API_KEY', admin: true, quotas: {}, usage: {} };
+    }
+
+    this._reload();
+
+    const hash = this.hash(key);
+    const record = this.keys.find(k => k.hash === hash);
+
+    return record && !record.revokedAt ? record : null;
+  }
+
+  list() {
+    this._reload();
+    return this.keys.map(record => this.describe(record));
+  }
+
+  get(id) {
+    this._reload();
+    return this.keys.find(k => k.id === id) || null;
+  }
+
+  /**
+   * Change a key's name and/or quota overrides
+   */
+  update(id, { name, quotas }) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    if (name !== undefined) record.name = name;
+    if (quotas !== undefined) record.quotas = { ...record.quotas, ...quotas };
+    this._save();
+
+    return this.describe(record);
+  }
+
+  /**
+   * Revoke a key (kept for job ownership and audit)
+   */
+  revoke(id) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    this._save();
+
+    return this.describe(record);
+  }
+
+  /**
+   * Check quota values; returns a list of errors
+   */
+  validateQuotas(quotas) {
+    const errors = [];
+
+    for (const [name, value] of Object.entries(quotas || {})) {
+      if (!Object.hasOwn(this.defaultQuotas, name)) {
+        errors.push(`unknown quota "${name}"`);
+      } else if (!Number.isInteger(value) || value < 0) {
+        errors.push(`${name} must be a non-negative integer (0 = unlimited)`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Effective quotas of a key (overrides on top of the defaults)
+   */
+  getQuotas(apiKey) {
+    if (apiKey.admin) {
+      return { maxConcurrentJobs: 0, maxBytesDownloaded: 0, maxDiskBytes: 0, ...apiKey.quotas };
+    }
+    return { ...this.defaultQuotas, ...apiKey.quotas };
+  }
+
+  /**
+   * Current usage of a key across the given jobs
+   */
+  getUsage(apiKey, jobs) {
+    const owned = jobs.filter(job => job.owner === apiKey.id);
+
+    return {
+      concurrentJobs: owned.filter(job => ACTIVE_STATUSES.includes(job.status)).length,
+      bytesDownloaded: apiKey.usage?.bytesDownloaded || 0,
+      diskBytes: owned.reduce((sum, job) => sum + this.jobDiskBytes(job), 0)
+    };
+  }
+
+  /**
+   * Disk used by a job: measured when it finished, its source until then
+   */
+  jobDiskBytes(job) {
+    if (Number.isInteger(job.diskBytes)) return job.diskBytes;
+    return job.sourceFile ? job.fileInfo?.size || 0 : 0;
+  }
+
+  /**
+   * First quota that starting one more job would break (null if none)
+   * `extraBytes` is the expected download or upload size when it is known
+   */
+  checkQuota(apiKey, jobs, { newJob = true, extraBytes = 0 } = {}) {
+    if (!apiKey) return null;
+
+    const quotas = this.getQuotas(apiKey);
+    const usage = this.getUsage(apiKey, jobs);
+
+    if (newJob && quotas.maxConcurrentJobs && usage.concurrentJobs >= quotas.maxConcurrentJobs) {
+      return { quota: 'maxConcurrentJobs', limit: quotas.maxConcurrentJobs, usage: usage.concurrentJobs };
+    }
+    if (quotas.maxBytesDownloaded && usage.bytesDownloaded + extraBytes > quotas.maxBytesDownloaded) {
+      return { quota: 'maxBytesDownloaded', limit: quotas.maxBytesDownloaded, usage: usage.bytesDownloaded };
+    }
+    if (quotas.maxDiskBytes && usage.diskBytes + extraBytes > quotas.maxDiskBytes) {
+      return { quota: 'maxDiskBytes', limit: quotas.maxDiskBytes, usage: usage.diskBytes };
+    }
+
+    return null;
+  }
+
+  /**
+   * Add downloaded (or uploaded) bytes to a key's usage
+   */
+  recordDownload(keyId, bytes) {
+    const record = this.get(keyId);
+    if (!record || !bytes) return;
+
+    record.usage.bytesDownloaded = (record.usage.bytesDownloaded || 0) + bytes;
+    this._save();
+  }
+
+  /**
+   * Public view of a key record (never includes the hash)
+   */
+  describe(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, quotas: this.getQuotas(record) };
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  _safeEqual(a, b) {
+    const left = Buffer.from(this.hash(a));
+    const right = Buffer.from(this.hash(b));
+    return crypto.timingSafeEqual(left, right);
+  }
+
+  _reload() {
+    if (!fs.existsSync(this.filePath)) {
+      this.keys = [];
+      this.loadedMtime = null;
+      return;
+    }
+
+    const mtime = fs.statSync(this.filePath).mtimeMs;
+    if (mtime === this.loadedMtime) return;
+
+    this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).keys || [];
+    this.loadedMtime = mtime;
+  }
+
+  _save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jobManager = require('./job.manager');
+const downloadService = require('./download.service');
+
+const OUTPUT_DIR = path.join(__dirname, '../../output');
+
+// Jobs that can still produce (or already have) a usable stream
+const REUSABLE_STATUSES = ['created', 'queued', 'analyzing', 'analyzed', 'downloading', 'downloaded', 'converting', 'retrying', 'ready'];
+
+/**
+ * Deduplication of identical sources
+ *
+ * Jobs carry a key built from their source (normalised URL, or the SHA-256
+ * of an uploaded file) and the options that shape the output. A new request
+ * with the same key attaches to the running job, or reuses a ready one when
+ * the source is unchanged: for URLs the ETag, Last-Modified and
+ * Content-Length seen when the job downloaded it must match a fresh check.
+ * Only jobs of the same owner are reused.
+ */
+class DedupService {
+  /**
+   * Canonical form of a source URL: lower-case scheme and host, no default
+   * port, no fragment, sorted query parameters
+   */
+  normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    // URL already lower-cases the host and drops default ports
+    return parsed.toString();
+  }
+
+  /**
+   * Dedup key for a source and the options that affect its output
+   */
+  key(source, options) {
+    const { ladder, encoding, encrypt, audioTracks } = options;
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ source, ladder, encoding, encrypt, audioTracks: audioTracks || null }))
+      .digest('hex');
+  }
+
+  urlKey(url, options) {
+    return this.key(`url:${this.normalizeUrl(url)}`, options);
+  }
+
+  fileKey(sha256, options) {
+    return this.key(`sha256:${sha256}`, options);
+  }
+
+  /**
+   * Existing job for a URL request, or null
+   * Ready jobs are only reused if the source still has the same validators
+   */
+  async findUrlJob(key, owner, url) {
+    const running = this.candidates(key, owner).find(job => job.status !== 'ready');
+    if (running) return running;
+
+    const ready = this.candidates(key, owner).filter(job => job.status === 'ready');
+    if (ready.length === 0) return null;
+
+    let current;
+    try {
+      current = this.validators(await downloadService.analyze(url));
+    } catch {
+      return null;
+    }
+
+    // Without any validator there is no way to tell the source is unchanged
+    if (!current.etag && !current.lastModified && !current.size) return null;
+
+    return ready.find(job => this.sameValidators(job.sourceValidators, current)) || null;
+  }
+
+  /**
+   * Existing job for an uploaded file's content hash, or null
+   */
+  findFileJob(key, owner) {
+    const jobs = this.candidates(key, owner);
+    return jobs.find(job => job.status === 'ready') || jobs[0] || null;
+  }
+
+  /**
+   * Jobs with the key that are running or ready with their output in place,
+   * newest first
+   */
+  candidates(key, owner) {
+    return jobManager.getAllJobs()
+      .filter(job => job.dedupKey === key && (job.owner || null) === (owner || null))
+      .filter(job => REUSABLE_STATUSES.includes(job.status))
+      .filter(job => job.status !== 'ready' || fs.existsSync(path.join(OUTPUT_DIR, job.id, 'master.m3u8')))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * The parts of analyze() output that identify a version of a source
+   */
+  validators(fileInfo) {
+    return {
+      etag: fileInfo.etag || null,
+      lastModified: fileInfo.lastModified || null,
+      size: fileInfo.size || null
+    };
+  }
+
+  sameValidators(a, b) {
+    return Boolean(a) && a.etag === b.etag && a.lastModified === b.lastModified && a.size === b.size;
+  }
+
+  /**
+   * Response body for a request answered by an existing job
+   */
+  describe(job) {
+    return {
+      jobId: job.id,
+      status: job.status === 'ready' ? 'ready' : 'attached',
+      streamUrl: job.streamUrl || null,
+      deduplicated: true
+    };
+  }
+}
+
+module.exports = new DedupService();
@@ -3,42 +3,82 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
+const urlPolicy = require('../utils/url.policy');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+const STALL_TIMEOUT = 60000; // Retry a connection that sends nothing for 60s
+const PROGRESS_INTERVAL = 500;
+const MIN_SEGMENT_SIZE = 16 * 1024 * 1024; // Don't split below 16MB per connection
+
+// Socket errors that are worth retrying the whole download for later
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH'];
 
 class DownloadService {
   constructor() {
     this.activeDownloads = new Map();
+    this.maxRetries = parseInt(process.env.DOWNLOAD_RETRIES, 10) || 5;
+    this.connections = parseInt(process.env.DOWNLOAD_CONNECTIONS, 10) || 4;
   }
 
   /**
    * Analyze URL to get file info without downloading
+   * Every hop is checked against the URL policy; `url` in the result is the
+   * final URL after redirects
    */
-  async analyze(url) {
+  async analyze(url, { signal, redirects = 0 } = {}) {
     return new Promise((resolve, reject) => {
-      const parsedUrl = new URL(url);
+      if (signal?.aborted) {
+        reject(new Error('Analyze cancelled'));
+        return;
+      }
+
+      let parsedUrl;
+      try {
+        parsedUrl = urlPolicy.checkUrl(url);
+      } catch (error) {
+        reject(error);
+        return;
+      }
       const protocol = parsedUrl.protocol === 'https:' ? https : http;
 
       const options = {
         method: 'HEAD',
         timeout: 30000,
+        lookup: urlPolicy.lookup,
         headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+          'User-Agent': USER_AGENT
         }
       };
 
       const req = protocol.request(url, options, (res) => {
         // Handle redirects
         if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-          this.analyze(res.headers.location).then(resolve).catch(reject);
+          res.resume();
+          try {
+            const location = urlPolicy.redirect(url, res.headers.location, redirects);
+            this.analyze(location, { signal, redirects: redirects + 1 }).then(resolve).catch(reject);
+          } catch (error) {
+            reject(error);
+          }
           return;
         }
 
         if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}: Failed to access file`));
+          const error = new Error(`HTTP ${res.statusCode}: Failed to access file`);
+          error.retryable = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+          reject(error);
           return;
         }
 
         const contentLength = parseInt(res.headers['content-length'], 10);
         const contentType = res.headers['content-type'];
+
+        try {
+          urlPolicy.checkSize(contentLength || 0);
+        } catch (error) {
+          reject(error);
+          return;
+        }
         const contentDisposition = res.headers['content-disposition'];
 
         let fileName = path.basename(parsedUrl.pathname) || 'video';
@@ -55,17 +95,30 @@ class DownloadService {
           name: fileName,
           size: contentLength || null,
           contentType: contentType || null,
+          acceptRanges: res.headers['accept-ranges'] === 'bytes',
+          etag: res.headers['etag'] || null,
+          lastModified: res.headers['last-modified'] || null,
           url: url
         });
       });
 
+      const onAbort = () => {
+        req.destroy();
+        reject(new Error('Analyze cancelled'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      req.on('close', () => {
+        signal?.removeEventListener('abort', onAbort);
+      });
+
       req.on('error', (error) => {
-        reject(new Error(`Failed to analyze URL: ${error.message}`));
+        reject(error.policy ? error : Object.assign(new Error(`Failed to analyze URL: ${error.message}`), { retryable: true }));
       });
 
       req.on('timeout', () => {
         req.destroy();
-        reject(new Error('Request timeout'));
+        reject(Object.assign(new Error('Request timeout'), { retryable: true }));
       });
 
       req.end();
@@ -74,102 +127,469 @@ class DownloadService {
 
   /**
    * Download file from URL
+   *
+   * Resumes from the partially written file after network errors (with
+   * exponential backoff), and splits the file across several connections
+   * when the server supports byte ranges. Progress is kept in a sidecar
+   * `<file>.download.json` so a later call can pick up where this one stopped.
+   * Aborting `signal` stops every connection and removes the partial file.
+   * `info` is the result of an earlier analyze() of the same URL, so the HEAD
+   * request is not repeated.
    */
-  async download(url, outputPath, onProgress) {
-    return new Promise((resolve, reject) => {
-      const parsedUrl = new URL(url);
-      const protocol = parsedUrl.protocol === 'https:' ? https : http;
+  async download(url, outputPath, onProgress, { signal, connections = this.connections, info } = {}) {
+    if (signal?.aborted) {
+      throw new Error('Download cancelled');
+    }
 
-      // Ensure directory exists
-      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    // Ensure directory exists
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
 
-      const options = {
-        timeout: 0, // No timeout for downloads
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    // Store reference to cancel if needed
+    this.activeDownloads.set(outputPath, controller);
+
+    try {
+      // HEAD may be refused; the first GET then supplies the size
+      if (info === undefined) {
+        info = await this.analyze(url, { signal: controller.signal }).catch((error) => {
+          if (error.policy) throw error;
+          return null;
+        });
+      }
+      const state = this._loadState(outputPath, url, info, connections);
+
+      const tracker = this._createTracker(outputPath, state, onProgress);
+
+      // Aborted by a cancel, or when one connection gives up
+      const segmentController = new AbortController();
+      controller.signal.addEventListener('abort', () => segmentController.abort(), { once: true });
+
+      const segmentPromises = state.segments.map(segment =>
+        this._downloadSegment(url, outputPath, state, segment, tracker, segmentController.signal)
+      );
+
+      try {
+        await Promise.all(segmentPromises);
+      } catch (error) {
+        // Close the other connections before the partial file is reused
+        segmentController.abort();
+        await Promise.allSettled(segmentPromises);
+        this._saveState(outputPath, state);
+        throw error;
+      }
+
+      // Integrity check against the advertised size
+      const size = fs.statSync(outputPath).size;
+      if (state.size && size !== state.size) {
+        this._discard(outputPath);
+        throw new Error(`Download incomplete: got ${size} of ${state.size} bytes`);
+      }
+
+      fs.rmSync(this._statePath(outputPath), { force: true });
+
+      // Final progress update
+      onProgress({
+        percent: 100,
+        downloaded: size,
+        total: state.size || size,
+        speed: '0 B/s',
+        eta: 'Complete',
+        connections: state.segments.length
+      });
+
+      return {
+        path: outputPath,
+        size
       };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        this._discard(outputPath);
+        throw new Error('Download cancelled');
+      }
+      if (error.policy) {
+        this._discard(outputPath);
+      }
+      // Network trouble that outlasted the per-connection retries is still
+      // worth another try later; policy violations and local errors are not
+      const retryable = !error.policy && error.retryable !== false &&
+        (!error.code || NETWORK_ERROR_CODES.includes(error.code));
+      throw Object.assign(new Error(`Download failed: ${error.message}`), { retryable });
+    } finally {
+      signal?.removeEventListener('abort', abort);
+      this.activeDownloads.delete(outputPath);
+    }
+  }
 
-      const req = protocol.get(url, options, (res) => {
-        // Handle redirects
-        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-          this.download(res.headers.location, outputPath, onProgress)
-            .then(resolve)
-            .catch(reject);
+  /**
+   * Download one byte range, retrying from its current offset
+   */
+  async _downloadSegment(url, outputPath, state, segment, tracker, signal) {
+    let attempt = 0;
+
+    while (!this._segmentDone(segment)) {
+      const offsetBefore = segment.offset;
+
+      try {
+        await this._fetchSegment(url, outputPath, state, segment, tracker, signal);
+      } catch (error) {
+        this._saveState(outputPath, state);
+
+        if (signal.aborted || error.retryable === false) {
+          throw error;
+        }
+
+        // Progress was made, so the connection was working - start counting again
+        if (segment.offset > offsetBefore) {
+          attempt = 0;
+        }
+
+        if (attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = Math.min(1000 * Math.pow(2, attempt), 30000);
+        attempt++;
+
+        console.warn(
+          `Download range ${segment.offset}-${segment.end ?? ''} failed (${error.message}), ` +
+          `retry ${attempt}/${this.maxRetries} in ${delay}ms`
+        );
+        await this._sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Single request for the remaining bytes of a segment
+   */
+  _fetchSegment(url, outputPath, state, segment, tracker, signal) {
+    return new Promise((resolve, reject) => {
+      const ranged = segment.offset > 0 || (segment.end !== null && segment.end < state.size - 1);
+      const headers = {};
+
+      if (ranged) {
+        headers['Range'] = `bytes=${segment.offset}-${segment.end ?? ''}`;
+        // Server answers 200 with the full body if the file changed
+        const validator = state.etag || state.lastModified;
+        if (validator) headers['If-Range'] = validator;
+      }
+
+      this._request(url, headers, signal).then((res) => {
+        if (res.statusCode !== 200 && res.statusCode !== 206) {
+          res.resume();
+          const error = new Error(`HTTP ${res.statusCode}`);
+          error.retryable = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+          reject(error);
           return;
         }
 
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}: Download failed`));
+        const etag = res.headers['etag'];
+        if (state.etag && etag && etag !== state.etag) {
+          res.resume();
+          this._discard(outputPath);
+          const error = new Error('Source changed during download');
+          error.retryable = false;
+          reject(error);
           return;
         }
 
-        const totalSize = parseInt(res.headers['content-length'], 10) || 0;
-        let downloadedSize = 0;
-        let startTime = Date.now();
-        let lastProgressTime = Date.now();
-        let lastDownloadedSize = 0;
+        if (ranged && res.statusCode === 200) {
+          // Range ignored or source changed: only a single stream can start over
+          if (state.segments.length > 1) {
+            res.resume();
+            const error = new Error('Server ignored range request');
+            error.retryable = false;
+            reject(error);
+            return;
+          }
+
+          segment.offset = 0;
+          fs.truncateSync(outputPath, 0);
+        }
+
+        // Size was unknown until now (HEAD refused)
+        const contentLength = parseInt(res.headers['content-length'], 10);
+        if (!state.size && res.statusCode === 200 && contentLength > 0) {
+          try {
+            urlPolicy.checkSize(contentLength);
+          } catch (error) {
+            res.resume();
+            reject(error);
+            return;
+          }
+
+          state.size = contentLength;
+          segment.end = contentLength - 1;
+          state.etag = state.etag || etag || null;
+          tracker.setTotal(contentLength);
+        }
 
-        const file = fs.createWriteStream(outputPath);
+        const file = fs.createWriteStream(outputPath, { flags: 'r+', start: segment.offset });
+        const firstOffset = segment.offset;
+        let received = 0;
+        let failure = null;
 
         res.on('data', (chunk) => {
-          downloadedSize += chunk.length;
-
-          const now = Date.now();
-          const timeDiff = now - lastProgressTime;
-
-          // Update progress every 500ms
-          if (timeDiff >= 500) {
-            const bytesPerSecond = ((downloadedSize - lastDownloadedSize) / timeDiff) * 1000;
-            const remainingBytes = totalSize - downloadedSize;
-            const etaSeconds = bytesPerSecond > 0 ? remainingBytes / bytesPerSecond : 0;
-
-            onProgress({
-              percent: totalSize > 0 ? (downloadedSize / totalSize) * 100 : 0,
-              downloaded: downloadedSize,
-              total: totalSize,
-              speed: this.formatSpeed(bytesPerSecond),
-              eta: this.formatEta(etaSeconds)
-            });
-
-            lastProgressTime = now;
-            lastDownloadedSize = downloadedSize;
+          received += chunk.length;
+
+          // Servers can send more than they announce (or announce nothing);
+          // bytes of this response still on their way to disk count as well
+          try {
+            urlPolicy.checkSize(tracker.downloaded() + received - (segment.offset - firstOffset));
+          } catch (error) {
+            failure = error;
+            res.destroy(error);
+            return;
+          }
+
+          // The offset (and so the saved state) only covers bytes on disk
+          const written = file.write(chunk, (error) => {
+            if (error) return;
+            segment.offset += chunk.length;
+            tracker.update();
+          });
+          if (!written) {
+            res.pause();
+            file.once('drain', () => res.resume());
           }
         });
 
-        res.pipe(file);
+        res.on('aborted', () => {
+          failure = failure || new Error('Connection closed early');
+        });
 
-        file.on('finish', () => {
-          file.close();
+        res.on('error', (error) => {
+          failure = failure || error;
+        });
 
-          // Final progress update
-          onProgress({
-            percent: 100,
-            downloaded: downloadedSize,
-            total: totalSize,
-            speed: '0 B/s',
-            eta: 'Complete'
-          });
+        res.on('close', () => {
+          if (!file.writableEnded) file.end();
+        });
 
-          resolve({
-            path: outputPath,
-            size: downloadedSize
-          });
+        file.on('error', (error) => {
+          res.destroy();
+          error.retryable = false;
+          reject(error);
         });
 
-        file.on('error', (err) => {
-          fs.unlink(outputPath, () => {});
-          reject(err);
+        // Everything received so far is on disk once the file closes
+        file.on('close', () => {
+          if (failure) {
+            reject(failure);
+          } else if (segment.end !== null && !this._segmentDone(segment)) {
+            reject(new Error('Connection closed early'));
+          } else {
+            if (segment.end === null) segment.end = segment.offset - 1;
+            resolve();
+          }
         });
+      }).catch(reject);
+    });
+  }
+
+  /**
+   * Open a GET response for a source, with the same policy checks as
+   * downloads (used by the source relay that FFmpeg reads through)
+   */
+  open(url, { headers = {}, signal }) {
+    return this._request(url, headers, signal);
+  }
+
+  /**
+   * GET a URL following redirects (each hop checked against the URL policy)
+   */
+  _request(url, headers, signal, redirects = 0) {
+    return new Promise((resolve, reject) => {
+      let parsedUrl;
+      try {
+        parsedUrl = urlPolicy.checkUrl(url);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      const protocol = parsedUrl.protocol === 'https:' ? https : http;
+
+      const options = {
+        lookup: urlPolicy.lookup,
+        headers: {
+          'User-Agent': USER_AGENT,
+          ...headers
+        }
+      };
+
+      const req = protocol.get(url, options, (res) => {
+        // Handle redirects
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+
+          let location;
+          try {
+            location = urlPolicy.redirect(url, res.headers.location, redirects);
+          } catch (error) {
+            reject(error);
+            return;
+          }
+
+          this._request(location, headers, signal, redirects + 1).then(resolve).catch(reject);
+          return;
+        }
+
+        resolve(res);
       });
 
-      req.on('error', (error) => {
-        fs.unlink(outputPath, () => {});
-        reject(new Error(`Download failed: ${error.message}`));
+      // No overall timeout, but a connection that stops sending is retried
+      req.setTimeout(STALL_TIMEOUT, () => {
+        req.destroy(new Error('Connection stalled'));
       });
 
-      // Store reference to cancel if needed
-      this.activeDownloads.set(outputPath, req);
+      const onAbort = () => req.destroy(new Error('Download cancelled'));
+      signal.addEventListener('abort', onAbort, { once: true });
+      req.on('close', () => signal.removeEventListener('abort', onAbort));
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Load resumable state, or plan a fresh download
+   */
+  _loadState(outputPath, url, info, connections) {
+    const statePath = this._statePath(outputPath);
+    const size = info?.size || null;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      const unchanged = saved.url === url &&
+        saved.size === size &&
+        saved.etag === (info?.etag || null) &&
+        saved.lastModified === (info?.lastModified || null);
+
+      if (unchanged && fs.existsSync(outputPath)) {
+        // Never trust an offset past the end of what actually reached the file
+        const fileSize = fs.statSync(outputPath).size;
+        for (const segment of saved.segments) {
+          segment.offset = Math.max(segment.start, Math.min(segment.offset, fileSize));
+        }
+
+        const remaining = saved.segments.reduce(
+          (sum, s) => sum + (s.end === null ? 0 : s.end - s.offset + 1), 0
+        );
+        console.log(`Resuming download of ${outputPath} (${this.formatBytes(remaining)} left)`);
+        return saved;
+      }
+    } catch {
+      // No usable state - start fresh
+    }
+
+    const count = info?.acceptRanges && size
+      ? Math.max(1, Math.min(connections, Math.floor(size / MIN_SEGMENT_SIZE)))
+      : 1;
+
+    const segments = [];
+    if (size) {
+      const chunk = Math.ceil(size / count);
+      for (let start = 0; start < size; start += chunk) {
+        segments.push({ start, end: Math.min(start + chunk, size) - 1, offset: start });
+      }
+    } else {
+      segments.push({ start: 0, end: null, offset: 0 });
+    }
+
+    const state = {
+      url,
+      size,
+      etag: info?.etag || null,
+      lastModified: info?.lastModified || null,
+      segments
+    };
+
+    fs.writeFileSync(outputPath, '');
+    this._saveState(outputPath, state);
+
+    return state;
+  }
+
+  _saveState(outputPath, state) {
+    try {
+      fs.writeFileSync(this._statePath(outputPath), JSON.stringify(state));
+    } catch (e) {
+      console.error('Failed to save download state:', e.message);
+    }
+  }
+
+  _statePath(outputPath) {
+    return `${outputPath}.download.json`;
+  }
+
+  _segmentDone(segment) {
+    return segment.end !== null && segment.offset > segment.end;
+  }
+
+  /**
+   * Remove a partial download and its state
+   */
+  _discard(outputPath) {
+    fs.rmSync(outputPath, { force: true });
+    fs.rmSync(this._statePath(outputPath), { force: true });
+  }
+
+  /**
+   * Aggregate progress (speed/ETA across all connections), reported every 500ms
+   * Counted from the segment offsets, so only bytes on disk are included and
+   * a range fetched again after a failure is not counted twice
+   */
+  _createTracker(outputPath, state, onProgress) {
+    let total = state.size || 0;
+    const written = () => state.segments.reduce((sum, s) => sum + (s.offset - s.start), 0);
+    let lastProgressTime = Date.now();
+    let lastDownloadedSize = written();
+
+    return {
+      setTotal: (value) => {
+        total = value;
+      },
+      downloaded: written,
+      update: () => {
+        const now = Date.now();
+        const timeDiff = now - lastProgressTime;
+
+        if (timeDiff < PROGRESS_INTERVAL) return;
+
+        const downloaded = written();
+        const bytesPerSecond = Math.max(((downloaded - lastDownloadedSize) / timeDiff) * 1000, 0);
+        const remainingBytes = total - downloaded;
+        const etaSeconds = bytesPerSecond > 0 ? remainingBytes / bytesPerSecond : 0;
+
+        onProgress({
+          percent: total > 0 ? (downloaded / total) * 100 : 0,
+          downloaded,
+          total,
+          speed: this.formatSpeed(bytesPerSecond),
+          eta: this.formatEta(etaSeconds),
+          connections: state.segments.filter(s => !this._segmentDone(s)).length
+        });
+
+        lastProgressTime = now;
+        lastDownloadedSize = downloaded;
+        this._saveState(outputPath, state);
+      }
+    };
+  }
+
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Download cancelled'));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
     });
   }
 
@@ -177,16 +597,23 @@ class DownloadService {
    * Cancel active download
    */
   cancel(outputPath) {
-    const req = this.activeDownloads.get(outputPath);
-    if (req) {
-      req.destroy();
-      this.activeDownloads.delete(outputPath);
-      fs.unlink(outputPath, () => {});
+    const controller = this.activeDownloads.get(outputPath);
+    if (controller) {
+      // download() removes the partial file once its connections are closed
+      controller.abort();
       return true;
     }
     return false;
   }
 
+  formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+  }
+
   formatSpeed(bytesPerSecond) {
     if (bytesPerSecond === 0) return '0 B/s';
     const k = 1024;
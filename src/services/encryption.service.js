@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '../../data');
+
+/**
+ * AES-128 encryption of finished HLS output
+ *
+ * Media segments are encrypted with AES-128-CBC (PKCS7), switching to a new
+ * key every `rotation` segments. Every segment gets its own random IV, in an
+ * `#EXT-X-KEY` tag before it; init segments stay in the clear. The output is
+ * encrypted before it is published (see the pipeline), so segments are
+ * never served unencrypted. Keys are kept in KEYS_PATH (outside output/)
+ * and handed out by the key delivery route.
+ */
+class EncryptionService {
+  constructor() {
+    this.enabledByDefault = process.env.ENCRYPTION === 'true';
+    this.rotation = parseInt(process.env.KEY_ROTATION_SEGMENTS || '10', 10);
+    this.keysPath = process.env.KEYS_PATH ||
+      path.join(process.env.DATA_PATH || DEFAULT_DATA_PATH, 'keys');
+
+    if (!Number.isInteger(this.rotation) || this.rotation < 0) {
+      throw new Error('KEY_ROTATION_SEGMENTS must be a non-negative integer (0 = one key per job)');
+    }
+  }
+
+  /**
+   * Encrypt every segment of the given media playlists
+   * `keyUri(keyId)` builds the URI written into EXT-X-KEY
+   */
+  async encryptOutput(jobId, outputDir, playlists, keyUri) {
+    const parsed = playlists.map(file => ({
+      file,
+      lines: fs.readFileSync(path.join(outputDir, file), 'utf8').split('\n')
+    }));
+
+    // Segment N of every rendition shares a key, so renditions stay switchable
+    const maxSegments = Math.max(0, ...parsed.map(p => p.lines.filter(line => line.startsWith('#EXTINF:')).length));
+    const perKey = this.rotation > 0 ? this.rotation : Math.max(maxSegments, 1);
+    const keys = this.createKeys(jobId, Math.max(1, Math.ceil(maxSegments / perKey)));
+
+    for (const { file, lines } of parsed) {
+      const output = [];
+      let segmentIndex = 0;
+      let iv = null;
+
+      for (const line of lines) {
+        if (line.startsWith('#EXTINF:')) {
+          // A CBC IV must never repeat under one key, so no segment shares one
+          const key = keys[Math.floor(segmentIndex / perKey)];
+          iv = crypto.randomBytes(16).toString('hex');
+          output.push(`#EXT-X-KEY:METHOD=AES-128,URI="${keyUri(key.id)}",IV=0x${iv}`);
+        } else if (line && !line.startsWith('#')) {
+          await this.encryptSegment(path.join(outputDir, line), keys[Math.floor(segmentIndex / perKey)], iv);
+          segmentIndex++;
+        }
+        output.push(line);
+      }
+
+      const playlistPath = path.join(outputDir, file);
+      fs.writeFileSync(`${playlistPath}.tmp`, output.join('\n'));
+      fs.renameSync(`${playlistPath}.tmp`, playlistPath);
+    }
+
+    console.log(`✓ Encrypted ${playlists.length} playlists with ${keys.length} key(s)`);
+
+    return { method: 'AES-128', keys: keys.length, rotation: this.rotation };
+  }
+
+  async encryptSegment(segmentPath, key, iv) {
+    const cipher = crypto.createCipheriv(
+      'aes-128-cbc',
+      Buffer.from(key.key, 'hex'),
+      Buffer.from(iv, 'hex')
+    );
+    const plain = await fs.promises.readFile(segmentPath);
+    const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+
+    await fs.promises.writeFile(`${segmentPath}.tmp`, encrypted);
+    await fs.promises.rename(`${segmentPath}.tmp`, segmentPath);
+  }
+
+  /**
+   * Generate and store `count` keys for a job
+   */
+  createKeys(jobId, count) {
+    const keys = Array.from({ length: count }, (_, i) => ({
+      id: String(i),
+      key: crypto.randomBytes(16).toString('hex')
+    }));
+
+    fs.mkdirSync(this.keysPath, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.keyFile(jobId), JSON.stringify({ jobId, keys }), { mode: 0o600 });
+
+    return keys;
+  }
+
+  /**
+   * Raw 16-byte key for delivery (null if unknown)
+   */
+  getKey(jobId, keyId) {
+    const file = this.keyFile(jobId);
+    if (!fs.existsSync(file)) return null;
+
+    const { keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const key = keys.find(k => k.id === keyId);
+    return key ? Buffer.from(key.key, 'hex') : null;
+  }
+
+  /**
+   * Remove a job's keys (its output becomes unplayable)
+   */
+  deleteKeys(jobId) {
+    fs.rmSync(this.keyFile(jobId), { force: true });
+  }
+
+  keyFile(jobId) {
+    return path.join(this.keysPath, `${path.basename(jobId)}.json`);
+  }
+}
+
+module.exports = new EncryptionService();
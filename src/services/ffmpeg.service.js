@@ -2,14 +2,79 @@ const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { execSync } = require('child_process');
 const playlistGenerator = require('../utils/playlist.generator');
+const renditionLadder = require('../utils/rendition.ladder');
+const webvttSegmenter = require('../utils/webvtt.segmenter');
+const videoEncoder = require('../utils/video.encoder');
+const encodingProfiles = require('../utils/encoding.profiles');
+const thumbnailSprites = require('../utils/thumbnail.sprites');
+
+const H264_PROFILES = {
+  'Baseline': '4200',
+  'Constrained Baseline': '42E0',
+  'Main': '4D40',
+  'High': '6400'
+};
+
+// Grace period between SIGTERM and SIGKILL when cancelling
+const KILL_TIMEOUT = 5000;
+
+// Segments every video/audio playlist needs before a progressive job is playable
+const MIN_PLAYABLE_SEGMENTS = 3;
+
+// Every audio track gets a stereo AAC rendition
+const STEREO_CODEC = 'mp4a.40.2';
+
+// Extra rendition for multichannel sources (5.1; 7.1 is folded down),
+// selected with SURROUND_CODEC
+const SURROUND_CODECS = {
+  eac3: { encoder: 'eac3', codec: 'ec-3', bitrate: '640k' },
+  ac3: { encoder: 'ac3', codec: 'ac-3', bitrate: '448k' },
+  aac: { encoder: 'aac', codec: 'mp4a.40.2', bitrate: '384k' }
+};
+const SURROUND_CHANNELS = 6;
+
+// Poster / animated preview / contact sheet settings
+const POSTER_WIDTH = 1280;
+const POSTER_MIN_LUMA = 40; // Average luma (0-255) below which a frame counts as dark
+const PREVIEW_WIDTH = 320;
+const PREVIEW_SECONDS = 3;
+const CONTACT_SHEET_COLUMNS = 4;
+const CONTACT_SHEET_ROWS = 4;
+
+// Subtitle codecs FFmpeg can turn into WebVTT (image-based ones cannot)
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'mov_text', 'webvtt', 'text'];
+
+// Demuxers a source may be read with: single-file containers only. Playlist
+// and reference formats (hls, dash, concat, ...) make FFmpeg open the URLs
+// listed inside the source, past the URL policy.
+const SOURCE_FORMATS = ['mov', 'matroska', 'avi', 'asf', 'flv', 'mpegts', 'mpeg', 'ogg', 'h264', 'hevc'];
 
 class FFmpegService {
   constructor() {
     this.cpuCount = os.cpus().length;
     this.useRamDisk = false;
     this.ramDiskPath = '/dev/shm'; // Linux shared memory
+
+    // eac3 | ac3 | aac | none (stereo only)
+    const surroundCodec = process.env.SURROUND_CODEC || 'eac3';
+    if (surroundCodec !== 'none' && !Object.hasOwn(SURROUND_CODECS, surroundCodec)) {
+      throw new Error(`Unknown SURROUND_CODEC "${surroundCodec}" (expected eac3, ac3, aac or none)`);
+    }
+    this.surroundCodec = surroundCodec === 'none' ? null : SURROUND_CODECS[surroundCodec];
+
+    // Seek preview sprites (thumbnails.vtt) and optional image playlist
+    this.thumbnails = {
+      enabled: process.env.THUMBNAILS !== 'false',
+      interval: Number(process.env.THUMBNAIL_INTERVAL || 10),
+      imagePlaylist: process.env.IMAGE_PLAYLIST === 'true'
+    };
+    if (!(this.thumbnails.interval > 0)) {
+      throw new Error('THUMBNAIL_INTERVAL must be a positive number of seconds');
+    }
+
+    // Poster frame, animated preview and contact sheet
+    this.previews = process.env.PREVIEWS !== 'false';
     
     console.log(`Detected ${this.cpuCount} CPU cores`);
     
@@ -19,31 +84,19 @@ class FFmpegService {
   }
 
   /**
-   * Detect available hardware acceleration
+   * Detect available hardware acceleration (nvidia, vaapi, qsv or null)
    */
   detectHardwareAcceleration() {
-    try {
-      const output = execSync('ffmpeg -hwaccels 2>/dev/null', { encoding: 'utf8' });
-      
-      if (output.includes('cuda') || output.includes('nvenc')) {
-        return 'nvidia';
-      }
-      if (output.includes('vaapi')) {
-        return 'vaapi';
-      }
-      if (output.includes('qsv')) {
-        return 'qsv';
-      }
-    } catch (e) {
-      // Ignore errors
-    }
-    return null;
+    return videoEncoder.probe();
   }
 
   /**
    * Get optimal thread count based on task
+   * A configured count (FFMPEG_THREADS or per-job override) wins over auto
    */
-  getOptimalThreads(task = 'video') {
+  getOptimalThreads(task = 'video', configured = 0) {
+    if (configured > 0) return configured;
+
     const available = this.cpuCount;
     
     switch (task) {
@@ -65,8 +118,11 @@ class FFmpegService {
    * Probe file to get stream information
    */
   async probeFile(inputPath) {
+    // ffprobe takes its options as separate arguments
+    const options = this.getSourceInputOptions(inputPath).flatMap(option => option.split(' '));
+
     return new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(inputPath, (err, metadata) => {
+      ffmpeg.ffprobe(inputPath, options, (err, metadata) => {
         if (err) {
           reject(err);
           return;
@@ -96,7 +152,9 @@ class FFmpegService {
             height: v.height,
             fps: evalFps(v.r_frame_rate),
             bitrate: v.bit_rate,
-            pix_fmt: v.pix_fmt
+            pix_fmt: v.pix_fmt,
+            profile: v.profile,
+            level: v.level
           })),
           audio: audioStreams.map((a, i) => ({
             index: i,
@@ -104,29 +162,72 @@ class FFmpegService {
             language: a.tags?.language || 'und',
             title: a.tags?.title || `Audio ${i + 1}`,
             channels: a.channels,
-            bitrate: a.bit_rate
+            bitrate: a.bit_rate,
+            default: a.disposition?.default === 1,
+            role: this.detectAudioRole(a)
           })),
           subtitles: subtitleStreams.map((s, i) => ({
             index: i,
             codec: s.codec_name,
             language: s.tags?.language || 'und',
-            title: s.tags?.title || `Subtitle ${i + 1}`
+            title: s.tags?.title || `Subtitle ${i + 1}`,
+            default: s.disposition?.default === 1,
+            forced: s.disposition?.forced === 1
           }))
         });
       });
     });
   }
 
+  /**
+   * Classify an audio stream as commentary or description (null = main audio)
+   * from its disposition flags, falling back to the track title
+   */
+  detectAudioRole(stream) {
+    const title = stream.tags?.title || '';
+
+    if (stream.disposition?.comment === 1 || /commentary/i.test(title)) {
+      return 'commentary';
+    }
+    if (stream.disposition?.visual_impaired === 1 || /descriptive|audio description/i.test(title)) {
+      return 'description';
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a subtitle codec can be converted to WebVTT
+   */
+  isTextSubtitle(codec) {
+    return TEXT_SUBTITLE_CODECS.includes((codec || '').toLowerCase());
+  }
+
   /**
    * Convert to HLS with multiple audio tracks - OPTIMIZED
    */
-  async convertToHLS({ inputPath, outputDir, audioTracks, onProgress }) {
+  async convertToHLS({
+    inputPath, outputDir, audioTracks, subtitleTracks = [], ladder,
+    encoding = encodingProfiles.resolve(), progressive = false,
+    onPlayable = () => {}, onProgress, signal
+  }) {
     const startTime = Date.now();
-    
+
+    // Aborted by the caller (job cancelled) or by us when one stream fails,
+    // so sibling FFmpeg processes do not keep running to completion
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    // Use RAM disk for temp files if available (HUGE speed boost)
+    let workDir = outputDir;
+
     try {
-      // Use RAM disk for temp files if available (HUGE speed boost)
-      let workDir = outputDir;
-      const useRamDisk = fs.existsSync(this.ramDiskPath) && this.useRamDisk;
+      if (signal?.aborted) {
+        throw new Error('Conversion cancelled');
+      }
+
+      // Progressive output is served while it is written, so it must go straight to outputDir
+      const useRamDisk = fs.existsSync(this.ramDiskPath) && this.useRamDisk && !progressive;
       
       if (useRamDisk) {
         workDir = path.join(this.ramDiskPath, `hls_${Date.now()}`);
@@ -138,13 +239,23 @@ class FFmpegService {
 
       const fileInfo = await this.probeFile(inputPath);
       const totalDuration = fileInfo.duration || 0;
+      const renditions = renditionLadder.resolve(ladder, fileInfo.video[0]);
+
+      // Stream copy keeps source keyframes, which would not line up
+      // with the re-encoded rungs of a multi-rendition ladder
+      const allowCopy = renditions.length === 1;
 
       console.log('\n========== HLS Conversion Start ==========');
       console.log('CPU Cores:', this.cpuCount);
       console.log('Hardware Accel:', this.hwAccel || 'CPU only');
+      console.log('Video encoder:', videoEncoder.getEncoderName(videoEncoder.select(this.hwAccel)));
       console.log('File duration:', totalDuration, 'seconds');
       console.log('Video codec:', fileInfo.video[0]?.codec);
+      console.log('Renditions:', renditions.map(r => `${r.name} (${r.width}x${r.height})`).join(', '));
       console.log('Audio tracks:', audioTracks.length);
+      console.log('Subtitle tracks:', subtitleTracks.length);
+      console.log('Progressive:', progressive ? 'YES (EVENT playlists)' : 'NO');
+      console.log('Encoding:', JSON.stringify(encoding));
       console.log('Work directory:', workDir);
       console.log('==========================================\n');
 
@@ -161,42 +272,117 @@ class FFmpegService {
       console.log('Starting PARALLEL video + audio conversion...');
       
       const audioProgressMap = new Map();
-      let videoProgress = 0;
+      const videoProgressMap = new Map();
+
+      // Stereo (and surround) renditions per track; some are only listed in
+      // a second group and reuse a stereo output, so encode each file once
+      const audioRenditions = this.getAudioRenditions(audioTracks);
+      const audioOutputs = audioRenditions.filter(r => r.encode);
+
+      const average = (map, count) => {
+        let total = 0;
+        for (const [, progress] of map) {
+          total += progress;
+        }
+        return count > 0 ? total / count : 0;
+      };
 
       const calculateTotalProgress = () => {
         // Video = 60%, Audio = 30%, Finalize = 10%
-        const audioCount = audioTracks.length || 1;
-        let audioTotal = 0;
-        for (const [, progress] of audioProgressMap) {
-          audioTotal += progress;
-        }
-        const avgAudioProgress = audioCount > 0 ? audioTotal / audioCount : 0;
+        const avgVideoProgress = average(videoProgressMap, renditions.length);
+        const avgAudioProgress = average(audioProgressMap, audioOutputs.length || 1);
         
-        return (videoProgress * 0.6) + (avgAudioProgress * 0.3);
+        return (avgVideoProgress * 0.6) + (avgAudioProgress * 0.3);
       };
 
       // Start all conversions in parallel
-      const videoPromise = this.convertVideoStreamOptimized(
-        inputPath, workDir, fileInfo, totalDuration, 
-        (progress) => {
-          videoProgress = progress;
-          reportProgress(calculateTotalProgress());
-        }
-      );
+      const videoPromises = renditions.map((rendition, i) => {
+        videoProgressMap.set(i, 0);
+        return this.convertVideoStreamOptimized(
+          inputPath, workDir, fileInfo, { ...rendition, allowCopy }, totalDuration,
+          (progress) => {
+            videoProgressMap.set(i, progress);
+            reportProgress(calculateTotalProgress());
+          },
+          { signal: controller.signal, progressive, encoding }
+        );
+      });
 
-      const audioPromises = audioTracks.map((track, i) => {
+      const audioPromises = audioOutputs.map((audioRendition, i) => {
         audioProgressMap.set(i, 0);
         return this.convertAudioStreamOptimized(
-          inputPath, workDir, track, totalDuration,
+          inputPath, workDir, audioRendition, totalDuration,
           (progress) => {
             audioProgressMap.set(i, progress);
             reportProgress(calculateTotalProgress());
-          }
+          },
+          { signal: controller.signal, progressive, encoding }
         );
       });
 
+      // Progressive: publish a provisional master once every stream has a few segments
+      const stopWatching = progressive
+        ? this.watchPlayable(workDir, renditions.map(r => ({ ...r, allowCopy })), fileInfo, audioRenditions, onPlayable)
+        : () => {};
+
+      // A broken subtitle track should not fail the whole conversion
+      const failedSubtitles = [];
+      const subtitlePromises = subtitleTracks.map(track =>
+        this.convertSubtitleStream(inputPath, workDir, track, totalDuration, { signal: controller.signal, encoding })
+          .catch(error => {
+            failedSubtitles.push({ ...track, reason: error.message });
+            return null;
+          })
+      );
+
+      // Seek previews are optional too
+      const thumbnailPromise = this.thumbnails.enabled && fileInfo.video[0]
+        ? this.generateThumbnails(inputPath, workDir, fileInfo, totalDuration, { signal: controller.signal })
+          .catch(error => {
+            if (!controller.signal.aborted) {
+              console.error('Thumbnail generation failed:', error.message);
+            }
+            return null;
+          })
+        : Promise.resolve(null);
+
+      const previewPromise = this.previews && fileInfo.video[0]
+        ? this.generatePreviews(inputPath, workDir, totalDuration, { signal: controller.signal })
+        : Promise.resolve(null);
+
       // Wait for all to complete
-      await Promise.all([videoPromise, ...audioPromises]);
+      let videoResults, subtitleResults, thumbnails, previews;
+      try {
+        [videoResults, , subtitleResults, thumbnails, previews] = await Promise.all([
+          Promise.all(videoPromises),
+          Promise.all(audioPromises),
+          Promise.all(subtitlePromises),
+          thumbnailPromise,
+          previewPromise
+        ]);
+      } catch (error) {
+        // Stop the remaining streams and wait for them to exit before cleanup
+        controller.abort();
+        await Promise.allSettled([
+          ...videoPromises, ...audioPromises, ...subtitlePromises, thumbnailPromise, previewPromise
+        ]);
+        throw error;
+      } finally {
+        stopWatching();
+      }
+
+      if (progressive) {
+        // EVENT -> VOD now that every segment exists
+        const playlists = [
+          ...videoResults.map(r => r.files.playlist),
+          ...audioOutputs.map(r => r.files.playlist)
+        ];
+        for (const playlist of playlists) {
+          playlistGenerator.finalizeEventPlaylist(path.join(workDir, playlist));
+        }
+      }
+
+      const convertedSubtitles = subtitleResults.filter(Boolean);
       
       console.log('\nAll streams converted successfully!');
       reportProgress(90);
@@ -204,16 +390,16 @@ class FFmpegService {
       // Generate master playlist
       console.log('Generating master playlist...');
       
+      const variants = this.buildVariants(workDir, fileInfo, videoResults, audioRenditions);
+
       const masterPlaylist = playlistGenerator.generateMaster({
-        videoPlaylist: 'video.m3u8',
-        audioTracks,
-        resolution: fileInfo.video[0] 
-          ? `${fileInfo.video[0].width}x${fileInfo.video[0].height}` 
-          : '1920x1080',
-        bandwidth: fileInfo.video[0]?.bitrate || 4000000
+        variants,
+        audioTracks: audioRenditions,
+        subtitleTracks: convertedSubtitles,
+        imageStreams: thumbnails?.imageStream ? [thumbnails.imageStream] : []
       });
 
-      fs.writeFileSync(path.join(workDir, 'master.m3u8'), masterPlaylist);
+      this.writeMasterPlaylist(workDir, masterPlaylist);
 
       // Copy from RAM disk to final output if needed
       if (useRamDisk && workDir !== outputDir) {
@@ -254,58 +440,382 @@ class FFmpegService {
 
       return {
         masterPlaylist: path.join(outputDir, 'master.m3u8'),
-        elapsedSeconds: parseFloat(elapsed)
+        elapsedSeconds: parseFloat(elapsed),
+        encoder: [...new Set(videoResults.map(r => r.encoder))].join(','),
+        // Audio/video media playlists (not subtitles or images)
+        mediaPlaylists: [
+          ...videoResults.map(r => r.files.playlist),
+          ...audioOutputs.map(r => r.files.playlist)
+        ],
+        renditions: variants.filter(v => v.audioGroup === 'audio').map((v, i) => ({
+          name: v.name,
+          encoder: videoResults[i].encoder,
+          resolution: v.resolution,
+          bandwidth: v.bandwidth,
+          averageBandwidth: v.averageBandwidth,
+          codecs: v.codecs,
+          playlist: v.uri
+        })),
+        subtitles: convertedSubtitles,
+        failedSubtitles,
+        thumbnails: thumbnails && {
+          vtt: thumbnails.vtt,
+          sprites: thumbnails.sprites,
+          interval: thumbnails.layout.interval
+        },
+        previews
       };
     } catch (error) {
-      console.error('HLS conversion error:', error);
+      if (workDir !== outputDir) {
+        fs.rmSync(workDir, { recursive: true, force: true });
+      }
+
+      if (signal?.aborted) {
+        console.log('HLS conversion cancelled');
+      } else {
+        console.error('HLS conversion error:', error);
+      }
       throw error;
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Kill an FFmpeg command when the signal aborts
+   * SIGTERM first so FFmpeg exits cleanly, SIGKILL if it does not
+   */
+  bindAbort(command, signal) {
+    if (!signal) return;
+
+    let started = false;
+    let exited = false;
+    let killTimer = null;
+
+    const kill = () => {
+      // Not spawned yet - the 'start' handler kills it as soon as it is
+      if (!started || exited) return;
+
+      command.kill('SIGTERM');
+      killTimer = setTimeout(() => {
+        if (!exited) command.kill('SIGKILL');
+      }, KILL_TIMEOUT);
+    };
+
+    const onExit = () => {
+      exited = true;
+      clearTimeout(killTimer);
+      signal.removeEventListener('abort', kill);
+    };
+
+    command
+      .on('start', () => {
+        started = true;
+        if (signal.aborted) kill();
+      })
+      .on('end', onExit)
+      .on('error', onExit);
+
+    signal.addEventListener('abort', kill, { once: true });
+  }
+
+  /**
+   * Build master playlist variants from the converted renditions
+   * One variant per video rendition and audio group (stereo, surround)
+   */
+  buildVariants(outputDir, fileInfo, videoResults, audioRenditions) {
+    const groupIds = [...new Set(audioRenditions.map(r => r.groupId))];
+    if (groupIds.length === 0) groupIds.push('audio');
+
+    // Each variant plays alongside the heaviest audio rendition of its group
+    const audioGroups = groupIds.map(groupId => {
+      const members = audioRenditions.filter(r => r.groupId === groupId);
+      let peak = 0;
+      let average = 0;
+      for (const member of members) {
+        const measured = playlistGenerator.measureBandwidth(path.join(outputDir, member.uri));
+        peak = Math.max(peak, measured.peak);
+        average = Math.max(average, measured.average);
+      }
+
+      const codecs = [...new Set(members.map(r => r.codec))];
+      return { groupId, peak, average, codecs: codecs.length > 0 ? codecs : [STEREO_CODEC] };
+    });
+
+    const frameRate = fileInfo.video[0]?.fps || null;
+
+    return audioGroups.flatMap(group => videoResults.map(({ rendition, files, copied }) => {
+      const measured = playlistGenerator.measureBandwidth(path.join(outputDir, files.playlist));
+      const videoPeak = measured.peak || rendition.maxrate * 1000;
+      const videoAverage = measured.average || rendition.bitrate * 1000;
+
+      return {
+        name: rendition.name,
+        uri: files.playlist,
+        audioGroup: group.groupId,
+        bandwidth: videoPeak + group.peak,
+        averageBandwidth: videoAverage + group.average,
+        resolution: `${rendition.width}x${rendition.height}`,
+        frameRate: Number.isFinite(frameRate) ? frameRate : null,
+        codecs: [this.getVideoCodecString(rendition, fileInfo.video[0], copied), ...group.codecs].join(',')
+      };
+    }));
+  }
+
+  /**
+   * RFC 6381 codec string for a video rendition
+   */
+  getVideoCodecString(rendition, sourceVideo, copied) {
+    if (copied) {
+      const profile = H264_PROFILES[sourceVideo?.profile] || H264_PROFILES.High;
+      const level = Number.isInteger(sourceVideo?.level) ? sourceVideo.level : 41;
+      return `avc1.${profile}${level.toString(16).toUpperCase().padStart(2, '0')}`;
     }
+
+    // Re-encoded renditions are always High profile
+    const level = Math.round(parseFloat(rendition.level) * 10);
+    return `avc1.${H264_PROFILES.High}${level.toString(16).toUpperCase().padStart(2, '0')}`;
+  }
+
+  /**
+   * Whether a rendition can be stream-copied instead of re-encoded
+   */
+  canStreamCopy(fileInfo, rendition) {
+    const videoCodec = fileInfo.video[0]?.codec?.toLowerCase() || '';
+    const pixFmt = fileInfo.video[0]?.pix_fmt || '';
+
+    return Boolean(rendition.allowCopy) &&
+           !rendition.scale &&
+           ['h264', 'avc1', 'avc'].includes(videoCodec) &&
+           !pixFmt.includes('10') &&
+           pixFmt.includes('yuv420p');
+  }
+
+  /**
+   * HLS muxer options shared by video and audio streams
+   * Progressive output uses EVENT playlists that grow as segments are written
+   */
+  getHlsOutputOptions(segmentDuration, progressive = false) {
+    const options = [
+      '-f hls',
+      `-hls_time ${segmentDuration}`,
+      `-hls_playlist_type ${progressive ? 'event' : 'vod'}`,
+      '-hls_segment_type fmp4'
+    ];
+
+    if (progressive) {
+      // Playlists are read by players while FFmpeg rewrites them
+      options.push('-hls_flags temp_file');
+    }
+
+    return options;
+  }
+
+  /**
+   * Input options for reading a source: a local file, or a remote source
+   * through the source relay. Only the source itself may be opened - no
+   * other protocols, and no demuxers that follow URLs listed in the source.
+   */
+  getSourceInputOptions(inputPath) {
+    const remote = /^https?:\/\//i.test(inputPath);
+
+    return [
+      `-protocol_whitelist ${remote ? 'http,tcp' : 'file'}`,
+      `-format_whitelist ${SOURCE_FORMATS.join(',')}`,
+      ...(remote ? [
+        '-reconnect 1',
+        '-reconnect_streamed 1',
+        '-reconnect_delay_max 10'
+      ] : [])
+    ];
+  }
+
+  /**
+   * Write master.m3u8 atomically so players never read a partial file
+   */
+  writeMasterPlaylist(outputDir, content) {
+    const masterPath = path.join(outputDir, 'master.m3u8');
+    fs.writeFileSync(`${masterPath}.tmp`, content);
+    fs.renameSync(`${masterPath}.tmp`, masterPath);
+  }
+
+  /**
+   * Poll progressive output until every video and audio playlist has
+   * MIN_PLAYABLE_SEGMENTS segments, then write a provisional master
+   * Returns a function that stops polling
+   */
+  watchPlayable(outputDir, renditions, fileInfo, audioRenditions, onPlayable) {
+    const videoFiles = renditions.map(r => ({ rendition: r, files: this.getVideoFileNames(r) }));
+    const playlists = [
+      ...videoFiles.map(v => v.files.playlist),
+      ...audioRenditions.filter(r => r.encode).map(r => r.files.playlist)
+    ];
+
+    const timer = setInterval(() => {
+      const ready = playlists.every(playlist =>
+        playlistGenerator.countSegments(path.join(outputDir, playlist)) >= MIN_PLAYABLE_SEGMENTS
+      );
+      if (!ready) return;
+
+      clearInterval(timer);
+
+      try {
+        const variants = this.buildVariants(
+          outputDir,
+          fileInfo,
+          videoFiles.map(v => ({ ...v, copied: this.canStreamCopy(fileInfo, v.rendition) })),
+          audioRenditions
+        );
+        this.writeMasterPlaylist(outputDir, playlistGenerator.generateMaster({
+          variants,
+          audioTracks: audioRenditions
+        }));
+
+        console.log('✓ Progressive output is playable');
+        onPlayable();
+      } catch (error) {
+        console.error('Failed to write provisional master playlist:', error.message);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Output file names for an audio track
+   * Index + language + role keeps tracks that share a language apart
+   */
+  getAudioFileNames(track, layout = 'stereo') {
+    const safeLanguage = track.language.replace(/[^a-z0-9]/gi, '_');
+    const base = [
+      `audio_${track.index}_${safeLanguage}`,
+      track.role,
+      layout === 'surround' ? 'surround' : null
+    ].filter(Boolean).join('_');
+    return {
+      playlist: `${base}.m3u8`,
+      init: `init_${base}.mp4`,
+      segments: `${base}_%03d.m4s`
+    };
+  }
+
+  /**
+   * Audio renditions for the master playlist
+   *
+   * Every track is encoded to stereo (group "audio"). If any source track is
+   * multichannel, a second group "audio-surround" lists a surround rendition
+   * for those tracks and reuses the stereo one for the rest, so both groups
+   * offer every language. `encode` marks renditions that need their own FFmpeg run.
+   */
+  getAudioRenditions(audioTracks) {
+    const stereo = audioTracks.map(track => this.describeAudioRendition(track, 'stereo', 'audio', true));
+
+    const surroundTracks = this.surroundCodec
+      ? audioTracks.filter(track => track.channels > 2)
+      : [];
+    if (surroundTracks.length === 0) return stereo;
+
+    const surround = audioTracks.map(track => surroundTracks.includes(track)
+      ? this.describeAudioRendition(track, 'surround', 'audio-surround', true)
+      : this.describeAudioRendition(track, 'stereo', 'audio-surround', false)
+    );
+
+    return [...stereo, ...surround];
+  }
+
+  describeAudioRendition(track, layout, groupId, encode) {
+    const files = this.getAudioFileNames(track, layout);
+    const surround = layout === 'surround';
+
+    return {
+      ...track,
+      layout,
+      groupId,
+      encode,
+      files,
+      uri: files.playlist,
+      channels: surround ? SURROUND_CHANNELS : 2,
+      codec: surround ? this.surroundCodec.codec : STEREO_CODEC
+    };
+  }
+
+  /**
+   * Output file names for a video rendition
+   */
+  getVideoFileNames(rendition) {
+    const base = rendition.name === 'source' ? 'video' : `video_${rendition.name}`;
+    return {
+      playlist: `${base}.m3u8`,
+      init: `init_${base}.mp4`,
+      segments: `${base}_%03d.m4s`
+    };
   }
 
   /**
    * Convert video stream - OPTIMIZED
+   * Uses the detected hardware encoder and retries with libx264 if it
+   * fails before producing any output
    */
-  convertVideoStreamOptimized(inputPath, outputDir, fileInfo, totalDuration, onProgress) {
-    return new Promise((resolve, reject) => {
-      const videoCodec = fileInfo.video[0]?.codec?.toLowerCase() || '';
-      const pixFmt = fileInfo.video[0]?.pix_fmt || '';
-      
-      const canCopy = ['h264', 'avc1', 'avc'].includes(videoCodec) && 
-                      !pixFmt.includes('10') &&
-                      pixFmt.includes('yuv420p');
+  convertVideoStreamOptimized(inputPath, outputDir, fileInfo, rendition, totalDuration, onProgress, { signal, progressive, encoding } = {}) {
+    const videoCodec = fileInfo.video[0]?.codec?.toLowerCase() || '';
+    const pixFmt = fileInfo.video[0]?.pix_fmt || '';
+    const files = this.getVideoFileNames(rendition);
+    const canCopy = this.canStreamCopy(fileInfo, rendition);
+    const backend = canCopy ? null : videoEncoder.select(this.hwAccel);
 
-      console.log('\n--- Video Stream Configuration ---');
-      console.log('Source codec:', videoCodec);
-      console.log('Pixel format:', pixFmt);
-      console.log('Stream copy:', canCopy ? 'YES' : 'NO (re-encoding)');
+    console.log('\n--- Video Stream Configuration ---');
+    console.log('Rendition:', `${rendition.name} (${rendition.width}x${rendition.height})`);
+    console.log('Source codec:', videoCodec);
+    console.log('Pixel format:', pixFmt);
+    console.log('Stream copy:', canCopy ? 'YES' : 'NO (re-encoding)');
+    console.log('Encoder:', canCopy ? 'copy' : videoEncoder.getEncoderName(backend));
+    console.log('----------------------------------\n');
 
-      const videoThreads = this.getOptimalThreads('video');
-      const decodeThreads = this.getOptimalThreads('decode');
-      
-      console.log('Decode threads:', decodeThreads);
-      console.log('Encode threads:', videoThreads);
-      console.log('----------------------------------\n');
+    const run = (backend) => this.runVideoCommand(
+      inputPath, outputDir, rendition, files, backend, totalDuration, onProgress, { signal, progressive, encoding }
+    );
+
+    return run(backend).catch((error) => {
+      if (!backend || backend === 'libx264' || !error.beforeOutput || signal?.aborted) {
+        throw error;
+      }
+
+      console.warn(`${videoEncoder.getEncoderName(backend)} failed to start, falling back to libx264`);
+      videoEncoder.disable(backend);
+      return run('libx264');
+    });
+  }
+
+  /**
+   * Run one FFmpeg video command (backend null = stream copy)
+   * Errors raised before any progress carry `beforeOutput: true`
+   */
+  runVideoCommand(inputPath, outputDir, rendition, files, backend, totalDuration, onProgress, { signal, progressive, encoding } = {}) {
+    return new Promise((resolve, reject) => {
+      const videoThreads = this.getOptimalThreads('video', encoding.threads);
+      const decodeThreads = this.getOptimalThreads('decode', encoding.threads);
+      const encoder = backend ? videoEncoder.getEncoderName(backend) : 'copy';
+
+      console.log(`Video ${rendition.name}: ${encoder}, ${decodeThreads} decode / ${videoThreads} encode threads`);
 
       let lastPercent = 0;
+      let producedOutput = false;
 
       const outputOptions = [
         '-map 0:v:0',
         '-an', // No audio in video stream
         '-sn', // No subtitles
-        '-f hls',
-        '-hls_time 6', // Larger segments = fewer files = faster I/O
-        '-hls_playlist_type vod',
-        '-hls_segment_type fmp4',
-        '-hls_fmp4_init_filename init_video.mp4',
-        `-hls_segment_filename ${path.join(outputDir, 'video_%03d.m4s')}`
+        ...this.getHlsOutputOptions(encoding.segmentDuration, progressive),
+        `-hls_fmp4_init_filename ${files.init}`,
+        `-hls_segment_filename ${path.join(outputDir, files.segments)}`
       ];
 
-      if (canCopy) {
-        outputOptions.push('-c:v copy');
-      } else {
+      if (backend) {
         // Optimized encoding settings
-        const encodeOptions = this.getVideoEncodeOptions(fileInfo, videoThreads);
+        const encodeOptions = this.getVideoEncodeOptions(rendition, videoThreads, encoding, backend);
         outputOptions.push(...encodeOptions);
+      } else {
+        outputOptions.push('-c:v copy');
       }
 
       // Add input options for faster decoding
@@ -313,132 +823,104 @@ class FFmpegService {
         .inputOptions([
           `-threads ${decodeThreads}`,
           '-analyzeduration 100M',
-          '-probesize 100M'
+          '-probesize 100M',
+          ...(backend ? videoEncoder.getInputOptions(backend) : []),
+          ...this.getSourceInputOptions(inputPath)
         ])
         .outputOptions(outputOptions)
-        .output(path.join(outputDir, 'video.m3u8'));
+        .output(path.join(outputDir, files.playlist));
+
+      this.bindAbort(command, signal);
 
       command
         .on('start', (cmd) => {
-          console.log('Video FFmpeg command (truncated):');
+          console.log(`Video ${rendition.name} FFmpeg command (truncated):`);
           console.log(cmd.substring(0, 200) + '...\n');
         })
         .on('progress', (progress) => {
+          producedOutput = true;
           let percent = this.calculateProgress(progress, totalDuration);
           if (percent > lastPercent) {
             lastPercent = percent;
             onProgress(percent);
           }
         })
-        .on('stderr', (line) => {
-          // Only log important lines
-          if (line.includes('frame=') || line.includes('speed=')) {
-            process.stdout.write(`\rVideo: ${line.trim()}`);
-          }
-        })
         .on('end', () => {
-          console.log('\n✓ Video stream complete');
+          console.log(`\n✓ Video stream ${rendition.name} complete`);
           
           // Verify output files
-          const videoPlaylist = path.join(outputDir, 'video.m3u8');
-          const initFile = path.join(outputDir, 'init_video.mp4');
+          const videoPlaylist = path.join(outputDir, files.playlist);
+          const initFile = path.join(outputDir, files.init);
           
           if (!fs.existsSync(videoPlaylist)) {
-            reject(new Error('Video playlist was not created'));
+            reject(new Error(`Video playlist for ${rendition.name} was not created`));
             return;
           }
           
           if (!fs.existsSync(initFile)) {
-            reject(new Error('Video init segment was not created'));
+            reject(new Error(`Video init segment for ${rendition.name} was not created`));
             return;
           }
           
           onProgress(100);
-          resolve();
+          resolve({ rendition, files, copied: !backend, encoder });
         })
         .on('error', (err, stdout, stderr) => {
-          console.error('\n✗ Video conversion error:', err.message);
+          console.error(`\n✗ Video ${rendition.name} conversion error:`, err.message);
           console.error('FFmpeg stderr:', stderr);
-          reject(new Error(`Video conversion failed: ${err.message}`));
+
+          const error = new Error(`Video conversion failed: ${err.message}`);
+          error.beforeOutput = !producedOutput;
+          reject(error);
         })
         .run();
     });
   }
 
   /**
-   * Get optimized video encoding options
+   * Get optimized video encoding options for a rendition
    */
-  getVideoEncodeOptions(fileInfo, threads) {
-    const width = fileInfo.video[0]?.width || 1920;
-    const height = fileInfo.video[0]?.height || 1080;
-    
-    // Calculate optimal bitrate based on resolution
-    let targetBitrate = '4M';
-    if (width >= 3840) targetBitrate = '15M';
-    else if (width >= 2560) targetBitrate = '8M';
-    else if (width >= 1920) targetBitrate = '5M';
-    else if (width >= 1280) targetBitrate = '3M';
-    else targetBitrate = '1.5M';
-
-    const options = [
-      '-c:v libx264',
-      '-preset ultrafast', // FASTEST preset - huge speed gain
-      '-tune fastdecode', // Optimize for fast playback
-      '-profile:v high',
-      '-level 4.1',
-      '-pix_fmt yuv420p',
-      `-b:v ${targetBitrate}`,
-      '-maxrate ' + targetBitrate.replace('M', '.5M'),
-      '-bufsize ' + targetBitrate.replace('M', '0M'),
-      '-g 48', // GOP size
-      '-keyint_min 48',
-      '-sc_threshold 0',
-      '-bf 0', // Disable B-frames for faster encoding
-      `-threads ${threads}`,
-      '-row-mt 1', // Enable row-based multithreading
-      '-fast-pskip 1',
-      '-me_method dia', // Fastest motion estimation
-      '-subq 0', // Fastest subpel quality
-      '-refs 1', // Minimum reference frames
-      '-movflags +faststart'
-    ];
-
-    return options;
+  getVideoEncodeOptions(rendition, threads, encoding, backend = 'libx264') {
+    return videoEncoder.getOutputOptions(backend, rendition, threads, encoding);
   }
 
   /**
    * Convert audio stream - OPTIMIZED
+   * `track` is an audio rendition from getAudioRenditions (stereo or surround)
    */
-  convertAudioStreamOptimized(inputPath, outputDir, track, totalDuration, onProgress) {
+  convertAudioStreamOptimized(inputPath, outputDir, track, totalDuration, onProgress, { signal, progressive, encoding } = {}) {
     return new Promise((resolve, reject) => {
       let lastPercent = 0;
-      const audioThreads = this.getOptimalThreads('audio');
+      const audioThreads = this.getOptimalThreads('audio', encoding.threads);
+      const { files } = track;
+      const codecOptions = track.layout === 'surround'
+        ? [`-c:a ${this.surroundCodec.encoder}`, `-b:a ${this.surroundCodec.bitrate}`]
+        : ['-c:a aac', `-b:a ${encoding.audioBitrate}`];
 
-      const safeLanguage = track.language.replace(/[^a-z0-9]/gi, '_');
-
-      ffmpeg(inputPath)
+      const command = ffmpeg(inputPath)
         .inputOptions([
-          '-threads 4'
+          `-threads ${audioThreads}`,
+          ...this.getSourceInputOptions(inputPath)
         ])
         .outputOptions([
           `-map 0:a:${track.index}`,
           '-vn', // No video
           '-sn', // No subtitles
-          '-c:a aac',
-          '-b:a 128k', // Slightly lower bitrate for speed
-          '-ac 2',
+          ...codecOptions,
+          `-ac ${track.channels}`,
           '-ar 48000',
           `-threads ${audioThreads}`,
-          '-f hls',
-          '-hls_time 6',
-          '-hls_playlist_type vod',
-          '-hls_segment_type fmp4',
-          `-hls_fmp4_init_filename init_audio_${safeLanguage}.mp4`,
-          `-hls_segment_filename ${path.join(outputDir, `audio_${safeLanguage}_%03d.m4s`)}`
+          ...this.getHlsOutputOptions(encoding.segmentDuration, progressive),
+          `-hls_fmp4_init_filename ${files.init}`,
+          `-hls_segment_filename ${path.join(outputDir, files.segments)}`
         ])
-        .output(path.join(outputDir, `audio_${safeLanguage}.m3u8`))
+        .output(path.join(outputDir, files.playlist));
+
+      this.bindAbort(command, signal);
+
+      command
         .on('start', () => {
-          console.log(`Starting audio: ${track.language}`);
+          console.log(`Starting audio: ${track.language} (${track.layout})`);
         })
         .on('progress', (progress) => {
           let percent = this.calculateProgress(progress, totalDuration);
@@ -448,11 +930,11 @@ class FFmpegService {
           }
         })
         .on('end', () => {
-          console.log(`✓ Audio ${track.language} complete`);
+          console.log(`✓ Audio ${track.language} (${track.layout}) complete`);
           
           // Verify output files
-          const audioPlaylist = path.join(outputDir, `audio_${safeLanguage}.m3u8`);
-          const initFile = path.join(outputDir, `init_audio_${safeLanguage}.mp4`);
+          const audioPlaylist = path.join(outputDir, files.playlist);
+          const initFile = path.join(outputDir, files.init);
           
           if (!fs.existsSync(audioPlaylist)) {
             reject(new Error(`Audio playlist for ${track.language} was not created`));
@@ -475,6 +957,265 @@ class FFmpegService {
     });
   }
 
+  /**
+   * Generate thumbnail sprite sheets plus thumbnails.vtt (and thumbnails.m3u8
+   * when IMAGE_PLAYLIST is on) for seek previews
+   */
+  generateThumbnails(inputPath, outputDir, fileInfo, totalDuration, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const layout = thumbnailSprites.layout(fileInfo.video[0], totalDuration, this.thumbnails.interval);
+
+      const command = ffmpeg(inputPath)
+        .inputOptions(this.getSourceInputOptions(inputPath))
+        .outputOptions([
+          '-map 0:v:0',
+          '-an',
+          '-sn',
+          `-vf ${thumbnailSprites.getFilter(layout)}`,
+          '-q:v 5',
+          '-f image2'
+        ])
+        .output(path.join(outputDir, 'thumbs_%03d.jpg'));
+
+      this.bindAbort(command, signal);
+
+      command
+        .on('start', () => {
+          console.log(`Starting thumbnails: every ${layout.interval}s, ${layout.sheets} sheet(s)`);
+        })
+        .on('end', () => {
+          try {
+            const sprites = fs.readdirSync(outputDir)
+              .filter(file => /^thumbs_\d+\.jpg$/.test(file))
+              .sort();
+
+            if (sprites.length === 0) {
+              reject(new Error('No thumbnail sheets were created'));
+              return;
+            }
+
+            fs.writeFileSync(
+              path.join(outputDir, 'thumbnails.vtt'),
+              thumbnailSprites.generateVtt(layout, sprites, totalDuration)
+            );
+
+            let imageStream = null;
+            if (this.thumbnails.imagePlaylist) {
+              fs.writeFileSync(
+                path.join(outputDir, 'thumbnails.m3u8'),
+                playlistGenerator.generateImagePlaylist({ layout, sprites, duration: totalDuration })
+              );
+
+              // Largest sheet over the time it covers
+              const sheetDuration = layout.interval * layout.columns * layout.rows;
+              const largest = Math.max(...sprites.map(file => fs.statSync(path.join(outputDir, file)).size));
+              imageStream = {
+                uri: 'thumbnails.m3u8',
+                resolution: `${layout.width * layout.columns}x${layout.height * layout.rows}`,
+                bandwidth: Math.max(1, Math.ceil(largest * 8 / Math.min(sheetDuration, totalDuration || sheetDuration)))
+              };
+            }
+
+            console.log(`✓ Thumbnails complete (${sprites.length} sheets)`);
+            resolve({ vtt: 'thumbnails.vtt', sprites, layout, imageStream });
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .on('error', (err) => {
+          reject(new Error(`Thumbnails failed: ${err.message}`));
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Generate poster.jpg, preview.gif and contact.jpg
+   * Each image is optional: failures are logged and left out of the result
+   */
+  async generatePreviews(inputPath, outputDir, totalDuration, { signal } = {}) {
+    const duration = totalDuration || 0;
+    const previews = {};
+
+    const steps = [
+      ['poster', () => this.generatePoster(inputPath, outputDir, duration, signal)],
+      ['preview', () => this.generateAnimatedPreview(inputPath, outputDir, duration, signal)],
+      ['contactSheet', () => this.generateContactSheet(inputPath, outputDir, duration, signal)]
+    ];
+
+    for (const [name, generate] of steps) {
+      if (signal?.aborted) break;
+
+      try {
+        previews[name] = await generate();
+      } catch (error) {
+        if (!signal?.aborted) {
+          console.error(`Preview ${name} failed:`, error.message);
+        }
+      }
+    }
+
+    console.log(`✓ Previews complete (${Object.keys(previews).join(', ') || 'none'})`);
+    return previews;
+  }
+
+  /**
+   * Poster frame: skip the opening, drop dark frames, keep frames at scene
+   * changes (not mid-fade) and let the thumbnail filter pick the most
+   * representative one. Falls back to plain thumbnail selection.
+   */
+  async generatePoster(inputPath, outputDir, duration, signal) {
+    const file = 'poster.jpg';
+    const output = path.join(outputDir, file);
+    const start = duration > 0 ? Math.min(duration * 0.1, 60) : 0;
+
+    const attempts = [
+      {
+        seek: start,
+        filter: 'signalstats,' +
+          `metadata=mode=select:key=lavfi.signalstats.YAVG:value=${POSTER_MIN_LUMA}:function=greater,` +
+          "select='gt(scene,0.1)',thumbnail=20"
+      },
+      { seek: start, filter: 'thumbnail=100' },
+      { seek: 0, filter: 'thumbnail=100' }
+    ];
+
+    for (const { seek, filter } of attempts) {
+      if (signal?.aborted) break;
+
+      await this.runCommand(
+        ffmpeg(inputPath)
+          .inputOptions([`-ss ${seek}`, '-t 120', ...this.getSourceInputOptions(inputPath)])
+          .outputOptions(['-map 0:v:0', `-vf ${filter},scale=${POSTER_WIDTH}:-2`, '-frames:v 1', '-q:v 3'])
+          .output(output),
+        signal
+      ).catch(() => {});
+
+      if (fs.existsSync(output) && fs.statSync(output).size > 0) {
+        return file;
+      }
+    }
+
+    throw new Error('No poster frame could be extracted');
+  }
+
+  /**
+   * Short looping GIF from a quarter of the way in
+   */
+  async generateAnimatedPreview(inputPath, outputDir, duration, signal) {
+    const file = 'preview.gif';
+    const start = duration > PREVIEW_SECONDS ? duration * 0.25 : 0;
+
+    await this.runCommand(
+      ffmpeg(inputPath)
+        .inputOptions([`-ss ${start}`, `-t ${PREVIEW_SECONDS}`, ...this.getSourceInputOptions(inputPath)])
+        .outputOptions([
+          '-map 0:v:0',
+          // Per-clip palette keeps GIF colours reasonable
+          `-vf fps=8,scale=${PREVIEW_WIDTH}:-2:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+          '-loop 0'
+        ])
+        .output(path.join(outputDir, file)),
+      signal
+    );
+
+    return file;
+  }
+
+  /**
+   * 4x4 grid of frames spread evenly over the whole video
+   */
+  async generateContactSheet(inputPath, outputDir, duration, signal) {
+    const file = 'contact.jpg';
+    const frames = CONTACT_SHEET_COLUMNS * CONTACT_SHEET_ROWS;
+    const rate = duration > 0 ? frames / duration : 1;
+
+    await this.runCommand(
+      ffmpeg(inputPath)
+        .inputOptions(this.getSourceInputOptions(inputPath))
+        .outputOptions([
+          '-map 0:v:0',
+          `-vf fps=${rate},scale=${PREVIEW_WIDTH}:-2,tile=${CONTACT_SHEET_COLUMNS}x${CONTACT_SHEET_ROWS}:padding=4:margin=4`,
+          '-frames:v 1',
+          '-q:v 4'
+        ])
+        .output(path.join(outputDir, file)),
+      signal
+    );
+
+    return file;
+  }
+
+  /**
+   * Run a one-off FFmpeg command, killing it when the signal aborts
+   */
+  runCommand(command, signal) {
+    return new Promise((resolve, reject) => {
+      this.bindAbort(command, signal);
+
+      command
+        .on('end', () => resolve())
+        .on('error', (err) => reject(err))
+        .run();
+    });
+  }
+
+  /**
+   * Convert a text subtitle stream into a segmented WebVTT playlist
+   */
+  convertSubtitleStream(inputPath, outputDir, track, totalDuration, { signal, encoding } = {}) {
+    return new Promise((resolve, reject) => {
+      const safeLanguage = track.language.replace(/[^a-z0-9]/gi, '_');
+      const baseName = `subs_${track.index}_${safeLanguage}`;
+      const vttPath = path.join(outputDir, `${baseName}.vtt`);
+
+      const command = ffmpeg(inputPath)
+        .inputOptions(this.getSourceInputOptions(inputPath))
+        .outputOptions([
+          `-map 0:s:${track.index}`,
+          '-vn',
+          '-an',
+          '-c:s webvtt',
+          '-f webvtt'
+        ])
+        .output(vttPath);
+
+      this.bindAbort(command, signal);
+
+      command
+        .on('start', () => {
+          console.log(`Starting subtitle: ${track.language} (${track.codec})`);
+        })
+        .on('end', () => {
+          try {
+            const segments = webvttSegmenter.segment({
+              vttPath,
+              outputDir,
+              baseName,
+              segmentDuration: encoding.segmentDuration,
+              totalDuration
+            });
+
+            const playlist = playlistGenerator.generateVariant({
+              segments,
+              targetDuration: encoding.segmentDuration
+            });
+            fs.writeFileSync(path.join(outputDir, `${baseName}.m3u8`), playlist);
+
+            console.log(`✓ Subtitle ${track.language} complete (${segments.length} segments)`);
+            resolve({ ...track, uri: `${baseName}.m3u8` });
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .on('error', (err) => {
+          console.error(`✗ Subtitle ${track.language} error:`, err.message);
+          reject(new Error(`Subtitle ${track.language} failed: ${err.message}`));
+        })
+        .run();
+    });
+  }
+
   /**
    * Calculate progress percentage
    */
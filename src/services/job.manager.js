@@ -1,25 +1,141 @@
 const { v4: uuidv4 } = require('uuid');
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createJobStore } = require('./job.store');
+const JobQueue = require('./job.queue');
+
+const OUTPUT_DIR = path.join(__dirname, '../../output');
+
+// Statuses a job can be in while work is still running
+const ACTIVE_STATUSES = ['created', 'queued', 'analyzing', 'analyzed', 'downloading', 'downloaded', 'converting', 'retrying'];
+
+// Minimum time between persisting progress-only updates
+const PERSIST_INTERVAL = 5000;
 
 class JobManager extends EventEmitter {
-  constructor() {
+  constructor(store = createJobStore()) {
     super();
+    this.store = store;
     this.jobs = new Map();
     this.subscribers = new Map();
+    this.lastPersisted = new Map();
+    this.controllers = new Map();
     this.cleanupInterval = null;
 
+    // Stage schedulers: transcoding is the expensive part, so MAX_CONCURRENT_JOBS
+    // limits it; downloads get their own limit (defaulting to the same value)
+    const transcodeLimit = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 4;
+    const downloadLimit = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS, 10) || transcodeLimit;
+
+    this.queues = {
+      download: new JobQueue('download', downloadLimit),
+      transcode: new JobQueue('transcode', transcodeLimit)
+    };
+
+    for (const queue of Object.values(this.queues)) {
+      queue.on('change', () => this.reportQueuePositions(queue));
+    }
+
+    // Restore jobs from the previous run
+    this.restore();
+
     // Start cleanup timer
     this.startCleanup();
   }
 
+  /**
+   * Load persisted jobs, mark unfinished ones as interrupted
+   * and pick up finished outputs that have no job record
+   */
+  restore() {
+    this.jobs = this.store.load();
+
+    for (const job of this.jobs.values()) {
+      if (ACTIVE_STATUSES.includes(job.status)) {
+        Object.assign(job, {
+          status: 'interrupted',
+          previousStatus: job.status,
+          message: 'Server restarted while the job was running',
+          updatedAt: new Date()
+        });
+        this.persist(job, true);
+      } else if (job.status === 'cancelling') {
+        // Cancelled but never finished cleaning up
+        Object.assign(job, { status: 'cancelled', updatedAt: new Date() });
+        this.persist(job, true);
+      }
+    }
+
+    const recovered = this.discoverOutputs();
+    const interrupted = this.getAllJobs().filter(j => j.status === 'interrupted').length;
+
+    console.log(`Restored ${this.jobs.size} jobs (${interrupted} interrupted, ${recovered} recovered from output/)`);
+  }
+
+  /**
+   * Create ready job records for output folders containing a master playlist
+   */
+  discoverOutputs() {
+    if (!fs.existsSync(OUTPUT_DIR)) return 0;
+
+    let recovered = 0;
+
+    for (const entry of fs.readdirSync(OUTPUT_DIR, { withFileTypes: true })) {
+      if (!entry.isDirectory() || this.jobs.has(entry.name)) continue;
+
+      const masterPath = path.join(OUTPUT_DIR, entry.name, 'master.m3u8');
+      if (!fs.existsSync(masterPath)) continue;
+
+      const createdAt = fs.statSync(masterPath).mtime;
+      const job = {
+        id: entry.name,
+        url: null,
+        status: 'ready',
+        progress: 100,
+        streamUrl: `/hls/${entry.name}/master.m3u8`,
+        recovered: true,
+        createdAt,
+        updatedAt: new Date()
+      };
+
+      this.jobs.set(job.id, job);
+      this.persist(job, true);
+      recovered++;
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Write a job to the store
+   * Progress-only updates are throttled; status changes are always written
+   */
+  persist(job, force = false) {
+    const now = Date.now();
+    const last = this.lastPersisted.get(job.id);
+
+    if (!force && last && last.status === job.status && now - last.time < PERSIST_INTERVAL) {
+      return;
+    }
+
+    this.lastPersisted.set(job.id, { status: job.status, time: now });
+    this.store.save(job);
+  }
+
   /**
    * Create a new job
+   * `owner` is the id of the API key that created it (null without auth)
+   * Emits `status` (job, null)
    */
-  createJob(url) {
+  createJob(url, options = {}, priority = 0, owner = null) {
     const id = uuidv4();
     const job = {
       id,
       url,
+      options,
+      priority,
+      owner,
       status: 'created',
       progress: 0,
       createdAt: new Date(),
@@ -27,6 +143,8 @@ class JobManager extends EventEmitter {
     };
 
     this.jobs.set(id, job);
+    this.persist(job, true);
+    this.emit('status', job, null);
     return job;
   }
 
@@ -39,40 +157,200 @@ class JobManager extends EventEmitter {
 
   /**
    * Update job status
+   * Emits `status` (job, previousStatus) when the status changes
    */
   updateJob(id, updates) {
     const job = this.jobs.get(id);
     if (!job) return null;
 
+    const previousStatus = job.status;
     Object.assign(job, updates, { updatedAt: new Date() });
     this.jobs.set(id, job);
+    this.persist(job);
 
     // Notify subscribers
     this.notifySubscribers(id, job);
 
+    if (job.status !== previousStatus) {
+      this.emit('status', job, previousStatus);
+    }
+
     return job;
   }
 
+  /**
+   * Mark a job as running and get the signal its work must honour
+   */
+  beginRun(id) {
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+    return controller.signal;
+  }
+
+  /**
+   * Mark a job as no longer running
+   */
+  endRun(id) {
+    this.controllers.delete(id);
+  }
+
   /**
    * Cancel a job
+   * Running jobs move to `cancelling` and their downloads/FFmpeg processes
+   * are aborted; the pipeline reports `cancelled` once cleanup is done.
    */
   cancelJob(id) {
     const job = this.jobs.get(id);
     if (!job) return false;
 
-    job.status = 'cancelled';
+    const controller = this.controllers.get(id);
+    const previousStatus = job.status;
+
+    job.status = controller ? 'cancelling' : 'cancelled';
+    job.queue = null;
     job.updatedAt = new Date();
+    this.persist(job, true);
     this.notifySubscribers(id, job);
+    if (job.status !== previousStatus) {
+      this.emit('status', job, previousStatus);
+    }
+
+    // Drop it from any stage queue it is waiting in
+    for (const queue of Object.values(this.queues)) {
+      queue.remove(id, 'Job cancelled');
+    }
+
+    controller?.abort();
 
     return true;
   }
 
+  /**
+   * Wait for a free slot in a pipeline stage ('download' or 'transcode')
+   * The job is reported as `queued` with its position while it waits
+   */
+  async acquireSlot(id, stage) {
+    const queue = this.queues[stage];
+    const job = this.jobs.get(id);
+    if (!queue || !job) {
+      throw new Error(`Cannot queue job ${id} for ${stage}`);
+    }
+
+    await queue.acquire(id, job.priority || 0);
+
+    // Cancelled just as the slot was handed over
+    if (this.isCancelled(id)) {
+      queue.release(id);
+      throw new Error('Job cancelled');
+    }
+
+    if (job.queue) {
+      this.updateJob(id, { queue: null });
+    }
+  }
+
+  /**
+   * Release a pipeline stage slot
+   */
+  releaseSlot(id, stage) {
+    this.queues[stage]?.release(id);
+  }
+
+  /**
+   * Run a task while holding a pipeline stage slot
+   */
+  async runInSlot(id, stage, task) {
+    await this.acquireSlot(id, stage);
+    try {
+      return await task();
+    } finally {
+      this.releaseSlot(id, stage);
+    }
+  }
+
+  /**
+   * Push the current queue position to every waiting job
+   */
+  reportQueuePositions(queue) {
+    const { waiting } = queue.snapshot();
+
+    for (const entry of waiting) {
+      const job = this.jobs.get(entry.jobId);
+      if (!job || this.isCancelled(entry.jobId)) continue;
+
+      this.updateJob(entry.jobId, {
+        status: 'queued',
+        queue: {
+          stage: queue.stage,
+          position: entry.position,
+          size: waiting.length
+        }
+      });
+    }
+  }
+
+  /**
+   * Snapshot of all stage queues
+   */
+  getQueueState() {
+    const stages = {};
+    for (const [stage, queue] of Object.entries(this.queues)) {
+      stages[stage] = queue.snapshot();
+    }
+    return {
+      paused: Object.values(this.queues).every(q => q.paused),
+      stages
+    };
+  }
+
+  /**
+   * Change a job's priority (and its place in any queue it waits in)
+   */
+  setJobPriority(id, priority) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+
+    this.updateJob(id, { priority });
+    for (const queue of Object.values(this.queues)) {
+      queue.setPriority(id, priority);
+    }
+    return true;
+  }
+
+  /**
+   * Move a waiting job to a 1-based position in its queue
+   */
+  moveInQueue(id, position) {
+    return Object.values(this.queues).some(queue => queue.move(id, position));
+  }
+
+  /**
+   * Stop dispatching queued jobs (running jobs continue)
+   */
+  pauseQueue() {
+    Object.values(this.queues).forEach(queue => queue.pause());
+  }
+
+  /**
+   * Resume dispatching queued jobs
+   */
+  resumeQueue() {
+    Object.values(this.queues).forEach(queue => queue.resume());
+  }
+
+  /**
+   * Check if a job's pipeline is running (including waiting for a slot)
+   */
+  isRunning(id) {
+    return this.controllers.has(id);
+  }
+
   /**
    * Check if job is cancelled
    */
   isCancelled(id) {
     const job = this.jobs.get(id);
-    return job?.status === 'cancelled';
+    return job?.status === 'cancelling' || job?.status === 'cancelled';
   }
 
   /**
@@ -113,28 +391,33 @@ class JobManager extends EventEmitter {
   }
 
   /**
-   * Get all jobs (for admin/debugging)
+   * Get all jobs (listed through GET /api/stream/jobs)
    */
   getAllJobs() {
     return Array.from(this.jobs.values());
   }
 
   /**
-   * Clean up old jobs
+   * Forget a job (its output is the storage manager's business)
+   */
+  removeJob(id) {
+    if (!this.jobs.has(id)) return false;
+
+    this.jobs.delete(id);
+    this.subscribers.delete(id);
+    this.lastPersisted.delete(id);
+    this.store.delete(id);
+    return true;
+  }
+
+  /**
+   * Compact the job store
+   * Old jobs are removed together with their output by the storage manager
    */
   startCleanup() {
-    // Clean up every hour
+    // Compact every hour
     this.cleanupInterval = setInterval(() => {
-      const now = new Date();
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-
-      for (const [id, job] of this.jobs) {
-        const age = now - new Date(job.createdAt);
-        if (age > maxAge) {
-          this.jobs.delete(id);
-          this.subscribers.delete(id);
-        }
-      }
+      this.store.compact(this.jobs);
     }, 60 * 60 * 1000);
   }
 
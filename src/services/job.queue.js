@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+
+/**
+ * Concurrency-limited, priority-ordered queue for one pipeline stage
+ *
+ * Jobs call acquire() and wait until a slot is free, then release() when
+ * done. Higher priority jobs are dispatched first; equal priorities keep
+ * submission order. Emits `change` whenever waiting positions may have moved.
+ */
+class JobQueue extends EventEmitter {
+  constructor(stage, limit) {
+    super();
+    this.stage = stage;
+    this.limit = limit;
+    this.running = new Set();
+    this.waiting = [];
+    this.paused = false;
+  }
+
+  /**
+   * Wait for a free slot
+   */
+  acquire(jobId, priority = 0) {
+    if (!this.paused && this.running.size < this.limit && this.waiting.length === 0) {
+      this.running.add(jobId);
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this._insert({ jobId, priority, resolve, reject });
+      this.emit('change');
+    });
+  }
+
+  /**
+   * Free the slot held by a job and start the next one
+   */
+  release(jobId) {
+    if (this.running.delete(jobId)) {
+      this._dispatch();
+    }
+  }
+
+  /**
+   * Drop a waiting job, rejecting its acquire() promise
+   */
+  remove(jobId, reason = 'Removed from queue') {
+    const index = this.waiting.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return false;
+
+    const [entry] = this.waiting.splice(index, 1);
+    entry.reject(new Error(reason));
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Move a waiting job to a 1-based position
+   */
+  move(jobId, position) {
+    const index = this.waiting.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return false;
+
+    const [entry] = this.waiting.splice(index, 1);
+    const target = Math.min(Math.max(position - 1, 0), this.waiting.length);
+    this.waiting.splice(target, 0, entry);
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Change the priority of a waiting job and re-sort it
+   */
+  setPriority(jobId, priority) {
+    const index = this.waiting.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return false;
+
+    const [entry] = this.waiting.splice(index, 1);
+    entry.priority = priority;
+    this._insert(entry);
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Get 1-based position of a waiting job (0 if not waiting)
+   */
+  positionOf(jobId) {
+    return this.waiting.findIndex(entry => entry.jobId === jobId) + 1;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this._dispatch();
+  }
+
+  /**
+   * Serializable view of the queue
+   */
+  snapshot() {
+    return {
+      stage: this.stage,
+      limit: this.limit,
+      paused: this.paused,
+      running: Array.from(this.running),
+      waiting: this.waiting.map((entry, i) => ({
+        jobId: entry.jobId,
+        priority: entry.priority,
+        position: i + 1
+      }))
+    };
+  }
+
+  _insert(entry) {
+    // After every job with the same or higher priority
+    const index = this.waiting.findIndex(other => other.priority < entry.priority);
+    if (index === -1) {
+      this.waiting.push(entry);
+    } else {
+      this.waiting.splice(index, 0, entry);
+    }
+  }
+
+  _dispatch() {
+    let dispatched = false;
+
+    while (!this.paused && this.running.size < this.limit && this.waiting.length > 0) {
+      const entry = this.waiting.shift();
+      this.running.add(entry.jobId);
+      entry.resolve();
+      dispatched = true;
+    }
+
+    if (dispatched) {
+      this.emit('change');
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '../../data');
+
+/**
+ * In-memory job store (nothing survives a restart)
+ */
+class MemoryJobStore {
+  load() {
+    return new Map();
+  }
+
+  save() {}
+
+  delete() {}
+
+  compact() {}
+}
+
+/**
+ * Append-only JSON Lines job store
+ *
+ * Every save appends the full job record; the last line for an id wins and
+ * `{ id, deleted: true }` tombstones remove it. The file is rewritten from the
+ * live records once it has grown well past their count.
+ */
+class JsonFileJobStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lineCount = 0;
+    this.liveCount = 0;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * Replay the log into a Map of job records
+   */
+  load() {
+    const jobs = new Map();
+
+    if (!fs.existsSync(this.filePath)) {
+      return jobs;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      this.lineCount++;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // Torn write from a crash - skip the partial line
+        console.warn('Job store: skipping unreadable line');
+        continue;
+      }
+
+      if (record.deleted) {
+        jobs.delete(record.id);
+      } else {
+        jobs.set(record.id, this._revive(record));
+      }
+    }
+
+    this.liveCount = jobs.size;
+    this.compact(jobs);
+
+    return jobs;
+  }
+
+  /**
+   * Append the current state of a job
+   */
+  save(job) {
+    this._append(job);
+  }
+
+  /**
+   * Append a tombstone for a job
+   */
+  delete(id) {
+    this._append({ id, deleted: true });
+  }
+
+  /**
+   * Rewrite the log with only the live records
+   */
+  compact(jobs) {
+    this.liveCount = jobs.size;
+    if (this.lineCount <= Math.max(this.liveCount * 2, 1000)) return;
+
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = Array.from(jobs.values())
+      .map(job => JSON.stringify(job))
+      .join('\n');
+
+    fs.writeFileSync(tmpPath, content ? content + '\n' : '');
+    fs.renameSync(tmpPath, this.filePath);
+    this.lineCount = jobs.size;
+  }
+
+  _append(record) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+      this.lineCount++;
+    } catch (e) {
+      console.error('Job store write error:', e.message);
+    }
+  }
+
+  _revive(record) {
+    for (const key of ['createdAt', 'updatedAt']) {
+      if (record[key]) record[key] = new Date(record[key]);
+    }
+    return record;
+  }
+}
+
+/**
+ * Create the job store selected by JOB_STORE (file | memory)
+ */
+function createJobStore() {
+  const type = process.env.JOB_STORE || 'file';
+
+  if (type === 'memory') {
+    return new MemoryJobStore();
+  }
+
+  if (type === 'file') {
+    const dataPath = process.env.DATA_PATH || DEFAULT_DATA_PATH;
+    return new JsonFileJobStore(path.join(dataPath, 'jobs.jsonl'));
+  }
+
+  throw new Error(`Unknown JOB_STORE "${type}" (expected "file" or "memory")`);
+}
+
+module.exports = {
+  createJobStore,
+  MemoryJobStore,
+  JsonFileJobStore
+};
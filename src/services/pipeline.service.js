@@ -0,0 +1,464 @@
+const fs = require('fs');
+const path = require('path');
+const downloadService = require('./download.service');
+const ffmpegService = require('./ffmpeg.service');
+const jobManager = require('./job.manager');
+const encryptionService = require('./encryption.service');
+const apiKeyService = require('./apikey.service');
+const dedupService = require('./dedup.service');
+const sourceRelay = require('./source.relay');
+const { directorySize, fileSize } = require('../utils/disk');
+
+const OUTPUT_DIR = path.join(__dirname, '../../output');
+
+// A downloaded source in the output folder (and its partial-download state)
+const SOURCE_PATTERN = /^input\./;
+
+// Encrypted jobs are converted here, inside their output folder; /hls does
+// not serve hidden folders, so segments are only published once encrypted
+const STAGING_DIR = '.encrypting';
+
+/**
+ * The job pipeline: analyze, download, probe, convert, (encrypt), ready
+ *
+ * A job's source is either `job.url` (analyzed and downloaded, or read
+ * directly by FFmpeg in progressive mode) or a local file in
+ * `job.options.inputFile` (uploads), which skips analyze and download.
+ *
+ * `job.sourceFile` is the local source once there is one. It survives
+ * failures (and successes with `keepSource`), so a retried or reprocessed
+ * job starts at conversion instead of downloading again; a partial download
+ * is kept as well and resumed.
+ */
+class PipelineService {
+  constructor() {
+    this.maxRetries = parseInt(process.env.JOB_RETRIES || '2', 10);
+    this.retryDelay = parseInt(process.env.JOB_RETRY_DELAY || '30', 10);
+
+    if (!Number.isInteger(this.maxRetries) || this.maxRetries < 0) {
+      throw new Error('JOB_RETRIES must be a number of retries (0 = none)');
+    }
+    if (!Number.isInteger(this.retryDelay) || this.retryDelay < 1) {
+      throw new Error('JOB_RETRY_DELAY must be a positive number of seconds');
+    }
+
+    // Pending automatic retries, by job id
+    this.retryTimers = new Map();
+  }
+
+  /**
+   * Run a job in the background and record failures on it
+   * Transient network failures are retried up to JOB_RETRIES times, after
+   * JOB_RETRY_DELAY seconds and doubling from there
+   */
+  start(job) {
+    // Started by hand while an automatic retry was pending
+    clearTimeout(this.retryTimers.get(job.id));
+    this.retryTimers.delete(job.id);
+
+    this.process(job.id, job.url, job.options).catch(error => {
+      if (jobManager.isCancelled(job.id)) return;
+
+      const step = error.step || 'analyze';
+      const attempt = (jobManager.getJob(job.id)?.autoRetries || 0) + 1;
+
+      if (error.retryable === true && attempt <= this.maxRetries) {
+        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+
+        jobManager.updateJob(job.id, {
+          status: 'retrying',
+          message: `${error.message} - retrying in ${delay}s (${attempt}/${this.maxRetries})`,
+          step,
+          autoRetries: attempt,
+          nextRetryAt: new Date(Date.now() + delay * 1000)
+        });
+
+        const timer = setTimeout(() => {
+          this.retryTimers.delete(job.id);
+          // Not cancelled or deleted in the meantime
+          if (jobManager.getJob(job.id)?.status === 'retrying') {
+            this.start(job);
+          }
+        }, delay * 1000);
+        timer.unref();
+        this.retryTimers.set(job.id, timer);
+        return;
+      }
+
+      jobManager.updateJob(job.id, {
+        status: 'error',
+        message: error.message,
+        step,
+        nextRetryAt: null
+      });
+    });
+  }
+
+  /**
+   * Move converted files from a staging folder into the output folder,
+   * master playlist last so players never find it before its renditions
+   */
+  publish(stagingDir, outputDir) {
+    const entries = fs.readdirSync(stagingDir).sort((a, b) => (a === 'master.m3u8') - (b === 'master.m3u8'));
+
+    for (const entry of entries) {
+      fs.renameSync(path.join(stagingDir, entry), path.join(outputDir, entry));
+    }
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Delete a job's output folder; `keepSource` spares a downloaded source
+   */
+  clearOutput(outputDir, { keepSource = false } = {}) {
+    if (!fs.existsSync(outputDir)) return;
+
+    for (const entry of fs.readdirSync(outputDir)) {
+      if (keepSource && SOURCE_PATTERN.test(entry)) continue;
+      fs.rmSync(path.join(outputDir, entry), { recursive: true, force: true });
+    }
+
+    if (fs.readdirSync(outputDir).length === 0) {
+      fs.rmdirSync(outputDir);
+    }
+  }
+
+  /**
+   * API URLs for the preview images a conversion produced
+   */
+  previewUrls(jobId, previews) {
+    const url = (file) => file ? `/api/stream/${jobId}/${file}` : null;
+
+    return {
+      posterUrl: url(previews?.poster),
+      previewUrl: url(previews?.preview),
+      contactSheetUrl: url(previews?.contactSheet)
+    };
+  }
+
+  /**
+   * Describe a local source file the way analyze() describes a URL
+   */
+  describeLocalFile(inputFile, fileName) {
+    if (!fs.existsSync(inputFile)) {
+      throw new Error('Source file no longer exists');
+    }
+
+    return {
+      name: fileName || path.basename(inputFile),
+      size: fs.statSync(inputFile).size,
+      contentType: null
+    };
+  }
+
+  /**
+   * Apply a job's audio track selection to the probed source tracks
+   * Without a selection every track is kept, defaulting to the first main
+   * (non-commentary/description) one
+   */
+  selectAudioTracks(probedAudio, selection) {
+    const tracks = probedAudio.map((a, i) => ({
+      index: i,
+      language: a.language || 'und',
+      name: a.title || `Audio ${i + 1}`,
+      role: a.role,
+      channels: a.channels,
+      default: false
+    }));
+
+    if (!selection) {
+      const mainAudio = Math.max(tracks.findIndex(t => !t.role), 0);
+      return tracks.map(t => ({ ...t, default: t.index === mainAudio }));
+    }
+
+    const selected = selection.map(choice => {
+      const track = tracks[choice.index];
+      if (!track) {
+        throw new Error(`Audio track ${choice.index} does not exist (source has ${tracks.length} audio tracks)`);
+      }
+
+      return {
+        ...track,
+        name: choice.name || track.name,
+        language: choice.language || track.language,
+        default: choice.default === true
+      };
+    });
+
+    if (!selected.some(t => t.default)) {
+      selected[0].default = true;
+    }
+    return selected;
+  }
+
+  /**
+   * Text subtitle tracks of the probed source
+   * Sources can flag several tracks as default, but only the first of them
+   * stays default (the master playlist has a single subtitle group)
+   */
+  selectSubtitleTracks(probedSubtitles) {
+    const tracks = probedSubtitles.filter(s => ffmpegService.isTextSubtitle(s.codec));
+    const defaultTrack = tracks.find(s => s.default);
+
+    return tracks.map(s => ({
+      index: s.index,
+      codec: s.codec,
+      language: s.language || 'und',
+      name: s.title || `Subtitle ${s.index + 1}`,
+      default: s === defaultTrack,
+      forced: s.forced
+    }));
+  }
+
+  /**
+   * Process video: download, analyze, convert
+   * Progressive jobs skip the download and let FFmpeg read the source URL,
+   * becoming playable while the EVENT playlists are still growing
+   */
+  async process(jobId, url, { ladder, progressive = false, encoding, encrypt = false, audioTracks: audioSelection = null, keepSource = false, inputFile = null, fileName = null } = {}) {
+    const outputDir = path.join(OUTPUT_DIR, jobId);
+    const signal = jobManager.beginRun(jobId);
+    let step = 'analyze';
+    let relayUrl = null;
+
+    try {
+      // A source kept from an earlier run is used in place, like an upload
+      const previous = jobManager.getJob(jobId);
+      const retained = !progressive && previous.sourceFile && fs.existsSync(previous.sourceFile)
+        ? previous.sourceFile
+        : null;
+      const localInput = retained || inputFile;
+
+      // Step 1: Analyze
+      jobManager.updateJob(jobId, { status: 'analyzing' });
+
+      const fileInfo = localInput
+        ? this.describeLocalFile(localInput, fileName || previous.fileInfo?.name)
+        : await downloadService.analyze(url, { signal });
+
+      // Check if cancelled
+      if (jobManager.isCancelled(jobId)) {
+        throw new Error('Job cancelled');
+      }
+
+      jobManager.updateJob(jobId, {
+        status: 'analyzed',
+        fileInfo: {
+          name: fileInfo.name,
+          size: fileInfo.size,
+          contentType: fileInfo.contentType
+        },
+        // Identifies this version of the source for deduplication
+        sourceValidators: localInput ? previous.sourceValidators || null : dedupService.validators(fileInfo),
+        sourceFile: localInput || null,
+        // Measured again once this run is finished
+        diskBytes: null
+      });
+
+      // Now that the size is known, make sure it fits the owner's quotas
+      const owner = apiKeyService.get(jobManager.getJob(jobId).owner);
+      const exceeded = owner && !localInput && apiKeyService.checkQuota(owner, jobManager.getAllJobs(), {
+        newJob: false,
+        extraBytes: fileInfo.size || 0
+      });
+      if (exceeded) {
+        throw new Error(`Quota exceeded: ${exceeded.quota} (limit ${exceeded.limit} bytes, used ${exceeded.usage})`);
+      }
+
+      // Step 2: Download (progressive jobs read the source through the relay,
+      // which applies the URL policy to FFmpeg's requests; local files are used in place)
+      let inputPath;
+      if (localInput) {
+        inputPath = localInput;
+      } else if (progressive) {
+        relayUrl = await sourceRelay.register(fileInfo.url);
+        inputPath = relayUrl;
+      } else {
+        inputPath = path.join(outputDir, 'input' + path.extname(fileInfo.name || '.mkv'));
+      }
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      if (!progressive && !localInput) {
+        step = 'download';
+        await jobManager.runInSlot(jobId, 'download', () => {
+          jobManager.updateJob(jobId, { status: 'downloading', progress: 0 });
+
+          return downloadService.download(url, inputPath, (progress) => {
+            if (jobManager.isCancelled(jobId)) return;
+
+            jobManager.updateJob(jobId, {
+              status: 'downloading',
+              progress: progress.percent,
+              speed: progress.speed,
+              eta: progress.eta,
+              connections: progress.connections
+            });
+          }, { signal, info: fileInfo });
+        });
+
+        if (jobManager.isCancelled(jobId)) {
+          throw new Error('Job cancelled');
+        }
+
+        if (owner) {
+          apiKeyService.recordDownload(owner.id, fs.statSync(inputPath).size);
+        }
+
+        jobManager.updateJob(jobId, { status: 'downloaded', sourceFile: inputPath });
+      }
+
+      // Output of an earlier run (retry, reprocess) must not mix with this one
+      step = 'convert';
+      this.clearOutput(outputDir, { keepSource: true });
+      encryptionService.deleteKeys(jobId);
+
+      // Step 3: Probe file for audio and subtitle tracks
+      const probeInfo = await ffmpegService.probeFile(inputPath);
+
+      // Only text subtitles can become WebVTT; report image-based ones
+      const subtitleTracks = this.selectSubtitleTracks(probeInfo.subtitles);
+
+      const skippedSubtitles = probeInfo.subtitles
+        .filter(s => !ffmpegService.isTextSubtitle(s.codec))
+        .map(s => ({
+          index: s.index,
+          codec: s.codec,
+          language: s.language,
+          name: s.title,
+          reason: 'Image-based subtitles cannot be converted to WebVTT'
+        }));
+
+      jobManager.updateJob(jobId, {
+        fileInfo: {
+          name: fileInfo.name,
+          size: fileInfo.size,
+          duration: probeInfo.duration,
+          resolution: probeInfo.video[0] ?
+            `${probeInfo.video[0].width}x${probeInfo.video[0].height}` : null,
+          audioTracks: probeInfo.audio,
+          subtitleTracks: probeInfo.subtitles
+        },
+        subtitles: {
+          converted: [],
+          skipped: skippedSubtitles
+        }
+      });
+
+      // Step 4: Convert to HLS
+      const audioTracks = this.selectAudioTracks(probeInfo.audio, audioSelection);
+
+      const streamUrl = `/hls/${jobId}/master.m3u8`;
+      const conversionDir = encrypt ? path.join(outputDir, STAGING_DIR) : outputDir;
+
+      const result = await jobManager.runInSlot(jobId, 'transcode', () => {
+        jobManager.updateJob(jobId, { status: 'converting', progress: 0 });
+
+        return ffmpegService.convertToHLS({
+          inputPath,
+          outputDir: conversionDir,
+          audioTracks,
+          subtitleTracks,
+          ladder,
+          encoding,
+          progressive,
+          signal,
+          onPlayable: () => {
+            if (!jobManager.isCancelled(jobId)) {
+              jobManager.updateJob(jobId, { playable: true, streamUrl });
+            }
+          },
+          onProgress: (progress) => {
+            if (!jobManager.isCancelled(jobId)) {
+              jobManager.updateJob(jobId, {
+                status: 'converting',
+                progress
+              });
+            }
+          }
+        });
+      });
+
+      if (jobManager.isCancelled(jobId)) {
+        throw new Error('Job cancelled');
+      }
+
+      // FFmpeg fetched the source itself; count it once the read is complete
+      if (progressive && owner) {
+        apiKeyService.recordDownload(owner.id, fileInfo.size || 0);
+      }
+
+      let encryption = null;
+      if (encrypt) {
+        encryption = await encryptionService.encryptOutput(
+          jobId, conversionDir, result.mediaPlaylists,
+          (keyId) => `/api/stream/${jobId}/keys/${keyId}`
+        );
+        this.publish(conversionDir, outputDir);
+      }
+
+      // Step 5: Ready
+      jobManager.updateJob(jobId, {
+        status: 'ready',
+        playable: true,
+        streamUrl,
+        encoder: result.encoder,
+        encryption,
+        renditions: result.renditions,
+        subtitles: {
+          converted: result.subtitles,
+          skipped: [
+            ...skippedSubtitles,
+            ...result.failedSubtitles
+          ]
+        },
+        thumbnailsUrl: result.thumbnails ? `/hls/${jobId}/${result.thumbnails.vtt}` : null,
+        ...this.previewUrls(jobId, result.previews),
+        originalUrl: url,
+        fileName: fileName || fileInfo.name,
+        autoRetries: 0,
+        nextRetryAt: null
+      });
+
+      // The source is no longer needed unless the job asked to keep it
+      if (!keepSource && !progressive) {
+        fs.rmSync(inputPath, { force: true });
+        jobManager.updateJob(jobId, { sourceFile: null });
+      }
+
+      // Disk usage for quotas, measured once instead of on every check
+      const { sourceFile } = jobManager.getJob(jobId);
+      jobManager.updateJob(jobId, {
+        diskBytes: directorySize(outputDir) +
+          (sourceFile && path.dirname(sourceFile) !== outputDir ? fileSize(sourceFile) : 0)
+      });
+
+    } catch (error) {
+      const cancelled = jobManager.isCancelled(jobId);
+
+      // Clean up on error; a failed job keeps its source for a retry
+      try {
+        this.clearOutput(outputDir, { keepSource: !cancelled });
+        encryptionService.deleteKeys(jobId);
+      } catch {}
+
+      // Final event for cancelled jobs, once their processes are gone
+      if (cancelled) {
+        jobManager.updateJob(jobId, {
+          status: 'cancelled',
+          progress: 0,
+          message: 'Job cancelled',
+          sourceFile: null
+        });
+        return;
+      }
+
+      error.step = step;
+      throw error;
+    } finally {
+      if (relayUrl) sourceRelay.release(relayUrl);
+      jobManager.endRun(jobId);
+    }
+  }
+}
+
+module.exports = new PipelineService();
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const http = require('http');
+const downloadService = require('./download.service');
+const urlPolicy = require('../utils/url.policy');
+
+// Source response headers passed on to FFmpeg
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+/**
+ * Local relay for remote sources read by FFmpeg/ffprobe
+ *
+ * FFmpeg resolves hosts and follows redirects on its own, past the URL
+ * policy. It is given http://127.0.0.1:<port>/<token> instead, and the relay
+ * fetches the source through the downloader, so every redirect hop, the
+ * addresses connected to and MAX_SOURCE_SIZE are checked as for downloads.
+ * Range requests are passed through so FFmpeg can still seek. Tokens are
+ * random and only valid until released.
+ */
+class SourceRelay {
+  constructor() {
+    this.sources = new Map();
+    this.server = null;
+    this.listening = null;
+  }
+
+  /**
+   * Local URL FFmpeg can read `url` from (release it when done)
+   */
+  async register(url) {
+    await this.listen();
+
+    const token = crypto.randomUUID();
+    this.sources.set(token, url);
+    return `http://127.0.0.1:${this.server.address().port}/${token}`;
+  }
+
+  release(localUrl) {
+    this.sources.delete(localUrl.split('/').pop());
+  }
+
+  listen() {
+    if (!this.listening) {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.listening = new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(0, '127.0.0.1', () => {
+          // Never keeps the process alive on its own
+          this.server.unref();
+          resolve();
+        });
+      });
+    }
+    return this.listening;
+  }
+
+  async handle(req, res) {
+    const url = this.sources.get(req.url.slice(1));
+
+    if (!url || !['GET', 'HEAD'].includes(req.method)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let upstream;
+    try {
+      upstream = await downloadService.open(url, {
+        headers: req.headers.range ? { Range: req.headers.range } : {},
+        signal: controller.signal
+      });
+      urlPolicy.checkSize(this.totalSize(upstream));
+    } catch (error) {
+      upstream?.resume();
+      if (!controller.signal.aborted) {
+        console.warn(`Source relay: ${error.message}`);
+      }
+      res.writeHead(error.policy ? 403 : 502);
+      res.end();
+      return;
+    }
+
+    const headers = {};
+    for (const name of FORWARDED_HEADERS) {
+      if (upstream.headers[name]) headers[name] = upstream.headers[name];
+    }
+    res.writeHead(upstream.statusCode, headers);
+
+    if (req.method === 'HEAD') {
+      upstream.resume();
+      res.end();
+      return;
+    }
+
+    // Sources that do not announce their size are cut off at the limit
+    let position = this.rangeStart(upstream);
+    upstream.on('data', (chunk) => {
+      position += chunk.length;
+      if (urlPolicy.maxSize && position > urlPolicy.maxSize) {
+        console.warn(`Source relay: ${url} exceeds the ${urlPolicy.maxSize} byte limit`);
+        upstream.destroy();
+        res.destroy();
+      }
+    });
+    upstream.on('error', () => res.destroy());
+    upstream.pipe(res);
+  }
+
+  /**
+   * Full size of the source from a response (0 when unknown)
+   */
+  totalSize(res) {
+    const range = /\/(\d+)$/.exec(res.headers['content-range'] || '');
+    if (range) return parseInt(range[1], 10);
+    return res.statusCode === 200 ? parseInt(res.headers['content-length'] || '0', 10) : 0;
+  }
+
+  rangeStart(res) {
+    const range = /^bytes (\d+)-/.exec(res.headers['content-range'] || '');
+    return range ? parseInt(range[1], 10) : 0;
+  }
+}
+
+module.exports = new SourceRelay();
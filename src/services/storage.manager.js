@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const jobManager = require('./job.manager');
+const encryptionService = require('./encryption.service');
+const webhookService = require('./webhook.service');
+const { parseSize, fileSize, directorySize } = require('../utils/disk');
+
+const OUTPUT_DIR = path.join(__dirname, '../../output');
+
+const HOUR = 60 * 60 * 1000;
+
+// Jobs without usable output (failed, cancelled, interrupted) are kept this long
+const UNFINISHED_RETENTION = 24 * HOUR;
+
+// Output folders younger than this are never reported as orphans
+const ORPHAN_GRACE = HOUR;
+
+// Minimum time between persisting a job's last access
+const TOUCH_INTERVAL = 60 * 1000;
+
+const UNFINISHED_STATUSES = ['error', 'cancelled', 'interrupted'];
+
+/**
+ * Retention and garbage collection for output/
+ *
+ * Every STORAGE_SWEEP_MINUTES, finished jobs are deleted (output folder,
+ * encryption keys, webhook log and job record) when they are older than
+ * RETENTION_MAX_AGE_HOURS or have not been played for RETENTION_IDLE_HOURS;
+ * then, while output/ is larger than STORAGE_BUDGET, the least recently
+ * played jobs go first. Running and pinned jobs are never deleted. Folders
+ * with no job record are orphans: reported, or deleted with ORPHAN_ACTION=delete.
+ */
+class StorageManager {
+  constructor() {
+    this.maxAgeHours = Number(process.env.RETENTION_MAX_AGE_HOURS || 0);
+    this.idleHours = Number(process.env.RETENTION_IDLE_HOURS || 0);
+    this.budget = parseSize(process.env.STORAGE_BUDGET || '0');
+    this.orphanAction = process.env.ORPHAN_ACTION || 'report';
+    this.sweepMinutes = Number(process.env.STORAGE_SWEEP_MINUTES || 15);
+
+    // Fail at boot rather than on the first sweep
+    const errors = [];
+    if (!(this.maxAgeHours >= 0)) errors.push('RETENTION_MAX_AGE_HOURS must be a number of hours (0 = keep)');
+    if (!(this.idleHours >= 0)) errors.push('RETENTION_IDLE_HOURS must be a number of hours (0 = keep)');
+    if (!(this.budget >= 0)) errors.push('STORAGE_BUDGET must be a size such as 500gb (0 = unlimited)');
+    if (!['report', 'delete'].includes(this.orphanAction)) errors.push('ORPHAN_ACTION must be report or delete');
+    if (!(this.sweepMinutes > 0)) errors.push('STORAGE_SWEEP_MINUTES must be a positive number');
+    if (errors.length > 0) {
+      throw new Error(`Invalid storage settings: ${errors.join('; ')}`);
+    }
+
+    this.sweepInterval = setInterval(() => {
+      try {
+        this.sweep();
+      } catch (error) {
+        console.error('Storage sweep failed:', error.message);
+      }
+    }, this.sweepMinutes * 60 * 1000);
+    this.sweepInterval.unref();
+  }
+
+  /**
+   * Record that a job's output was just played (for idle expiry and LRU)
+   */
+  touch(jobId) {
+    const job = jobManager.getJob(jobId);
+    if (!job) return;
+
+    const now = new Date();
+    if (job.lastAccessedAt && now - new Date(job.lastAccessedAt) < TOUCH_INTERVAL) return;
+
+    // Not updateJob(): playback is not a job event worth pushing to subscribers
+    job.lastAccessedAt = now;
+    jobManager.persist(job, true);
+  }
+
+  /**
+   * Pin or unpin a job; pinned jobs are never deleted
+   */
+  setPinned(jobId, pinned) {
+    return jobManager.updateJob(jobId, { pinned });
+  }
+
+  /**
+   * Disk usage per job and of orphaned folders, largest first
+   */
+  getUsage() {
+    const jobs = jobManager.getAllJobs().map(job => ({
+      jobId: job.id,
+      status: job.status,
+      owner: job.owner || null,
+      pinned: Boolean(job.pinned),
+      bytes: directorySize(path.join(OUTPUT_DIR, job.id)),
+      sourceBytes: this.sourceSize(job.id),
+      createdAt: job.createdAt,
+      lastAccessedAt: job.lastAccessedAt || null
+    }));
+
+    const orphans = this.findOrphans();
+    const total = jobs.reduce((sum, job) => sum + job.bytes, 0) +
+      orphans.reduce((sum, orphan) => sum + orphan.bytes, 0);
+
+    return {
+      total,
+      budget: this.budget || null,
+      retention: {
+        maxAgeHours: this.maxAgeHours || null,
+        idleHours: this.idleHours || null
+      },
+      jobs: jobs.sort((a, b) => b.bytes - a.bytes),
+      orphans
+    };
+  }
+
+  /**
+   * Apply the retention rules once
+   * Returns what was deleted (and the orphans found)
+   */
+  sweep() {
+    const now = Date.now();
+    const deleted = [];
+    const remove = (job, reason) => {
+      const bytes = this.deleteJob(job.id);
+      deleted.push({ jobId: job.id, reason, bytes });
+    };
+
+    const candidates = jobManager.getAllJobs()
+      .filter(job => !job.pinned && !jobManager.isRunning(job.id));
+
+    for (const job of candidates) {
+      const age = now - new Date(job.createdAt).getTime();
+      const idle = now - new Date(job.lastAccessedAt || job.updatedAt).getTime();
+
+      if (UNFINISHED_STATUSES.includes(job.status) && age > UNFINISHED_RETENTION) {
+        remove(job, 'unfinished');
+      } else if (job.status === 'ready' && this.maxAgeHours && age > this.maxAgeHours * HOUR) {
+        remove(job, 'maxAge');
+      } else if (job.status === 'ready' && this.idleHours && idle > this.idleHours * HOUR) {
+        remove(job, 'idle');
+      }
+    }
+
+    const orphans = this.findOrphans(now);
+    if (this.orphanAction === 'delete') {
+      for (const orphan of orphans) {
+        fs.rmSync(path.join(OUTPUT_DIR, orphan.name), { recursive: true, force: true });
+        deleted.push({ jobId: null, folder: orphan.name, reason: 'orphan', bytes: orphan.bytes });
+      }
+    } else if (orphans.length > 0) {
+      console.warn(`Storage: ${orphans.length} output folder(s) have no job record: ${orphans.map(o => o.name).join(', ')}`);
+    }
+
+    // Over budget: evict finished jobs, least recently played first. Outputs
+    // of running jobs are still being written and cannot be evicted, so the
+    // budget covers everything else
+    if (this.budget) {
+      let total = this.finishedSize();
+      const lru = jobManager.getAllJobs()
+        .filter(job => job.status === 'ready' || UNFINISHED_STATUSES.includes(job.status))
+        .filter(job => !job.pinned && !jobManager.isRunning(job.id))
+        .sort((a, b) => new Date(a.lastAccessedAt || a.updatedAt) - new Date(b.lastAccessedAt || b.updatedAt));
+
+      for (const job of lru) {
+        if (total <= this.budget) break;
+        const before = deleted.length;
+        remove(job, 'budget');
+        total -= deleted[before].bytes;
+      }
+
+      if (total > this.budget) {
+        console.warn(`Storage: output/ uses ${total} bytes, over the ${this.budget} byte budget, but nothing more can be evicted`);
+      }
+    }
+
+    for (const entry of deleted) {
+      console.log(`Storage: deleted ${entry.jobId || entry.folder} (${entry.reason}, ${entry.bytes} bytes)`);
+    }
+
+    return {
+      deleted,
+      orphans: this.orphanAction === 'delete' ? [] : orphans
+    };
+  }
+
+  /**
+   * Delete a job's output, keys and record; returns the bytes freed
+   */
+  deleteJob(jobId) {
+    const outputDir = path.join(OUTPUT_DIR, jobId);
+    const bytes = directorySize(outputDir);
+
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    encryptionService.deleteKeys(jobId);
+    webhookService.remove(jobId);
+    jobManager.removeJob(jobId);
+
+    return bytes;
+  }
+
+  /**
+   * Size of output/ without the folders of running jobs
+   */
+  finishedSize() {
+    if (!fs.existsSync(OUTPUT_DIR)) return 0;
+
+    return fs.readdirSync(OUTPUT_DIR)
+      .filter(name => !jobManager.isRunning(name))
+      .reduce((sum, name) => sum + directorySize(path.join(OUTPUT_DIR, name)), 0);
+  }
+
+  /**
+   * Size of a downloaded source kept in a job's output folder
+   */
+  sourceSize(jobId) {
+    const outputDir = path.join(OUTPUT_DIR, jobId);
+    if (!fs.existsSync(outputDir)) return 0;
+
+    return fs.readdirSync(outputDir)
+      .filter(name => /^input\./.test(name))
+      .reduce((sum, name) => sum + fileSize(path.join(outputDir, name)), 0);
+  }
+
+  /**
+   * Output folders without a job record, older than the grace period
+   */
+  findOrphans(now = Date.now()) {
+    if (!fs.existsSync(OUTPUT_DIR)) return [];
+
+    return fs.readdirSync(OUTPUT_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !jobManager.getJob(entry.name))
+      .map(entry => {
+        const folder = path.join(OUTPUT_DIR, entry.name);
+        try {
+          return {
+            name: entry.name,
+            bytes: directorySize(folder),
+            modifiedAt: fs.statSync(folder).mtime
+          };
+        } catch {
+          // Removed while it was looked at
+          return null;
+        }
+      })
+      .filter(orphan => orphan && now - orphan.modifiedAt.getTime() > ORPHAN_GRACE);
+  }
+}
+
+module.exports = new StorageManager();
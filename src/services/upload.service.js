@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { parseSize } = require('../utils/disk');
+
+const DEFAULT_INPUT_PATH = path.join(__dirname, '../../input');
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+
+function uploadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Resumable chunked uploads into INPUT_PATH/uploads
+ *
+ * An upload is created with its total size, then filled by appending chunks
+ * at the current offset (the size of the `.part` file, so a crash loses at
+ * most the chunk in flight). Chunks can carry a SHA-256 checksum and the
+ * whole file can be checked against one on completion; a bad chunk is
+ * truncated away so the client can simply send it again.
+ */
+class UploadService {
+  constructor() {
+    this.inputPath = process.env.INPUT_PATH || DEFAULT_INPUT_PATH;
+    this.uploadsPath = path.join(this.inputPath, 'uploads');
+    this.maxSize = parseSize(process.env.MAX_UPLOAD_SIZE || '10gb');
+    this.chunkSize = parseSize(process.env.UPLOAD_CHUNK_SIZE || String(DEFAULT_CHUNK_SIZE));
+    this.expiryHours = parseInt(process.env.UPLOAD_EXPIRY_HOURS || '24', 10);
+    this.active = new Set();
+
+    // Per-job webhook secrets stay in memory, never in the upload records
+    this.webhookSecrets = new Map();
+
+    if (!Number.isFinite(this.maxSize) || this.maxSize <= 0) {
+      throw new Error('MAX_UPLOAD_SIZE must be a size such as 10gb or 500mb');
+    }
+    if (!Number.isFinite(this.chunkSize) || this.chunkSize <= 0) {
+      throw new Error('UPLOAD_CHUNK_SIZE must be a size such as 8mb');
+    }
+
+    // Drop incomplete uploads nobody has touched for a while
+    this.cleanupInterval = setInterval(() => this.removeExpired(), 60 * 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  /**
+   * Start an upload; `jobRequest` and `force` (skip deduplication) are kept
+   * until the file is complete (see jobRequest())
+   */
+  create({ fileName, size, sha256 = null, owner = null, jobRequest = {}, force = false }) {
+    if (!fileName || typeof fileName !== 'string') {
+      throw uploadError('fileName is required', 400);
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      throw uploadError('size must be a positive integer (bytes)', 400);
+    }
+    if (size > this.maxSize) {
+      throw uploadError(`File is larger than the upload limit (${this.maxSize} bytes)`, 413);
+    }
+    if (sha256 !== null && !/^[a-f0-9]{64}$/i.test(sha256)) {
+      throw uploadError('sha256 must be a hex SHA-256 digest', 400);
+    }
+
+    const id = crypto.randomUUID();
+    const { webhook = null } = jobRequest;
+    if (webhook?.secret) {
+      this.webhookSecrets.set(id, webhook.secret);
+    }
+
+    const upload = {
+      id,
+      fileName: path.basename(fileName),
+      size,
+      sha256: sha256 ? sha256.toLowerCase() : null,
+      owner,
+      jobRequest: { ...jobRequest, webhook: webhook && { url: webhook.url, signed: Boolean(webhook.secret) } },
+      force,
+      status: 'uploading',
+      jobId: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.uploadsPath, { recursive: true });
+    fs.writeFileSync(this.partPath(upload.id), '');
+    this.save(upload);
+
+    return { ...upload, offset: 0 };
+  }
+
+  /**
+   * Upload record with its current offset (null if unknown)
+   */
+  get(id) {
+    if (!/^[a-f0-9-]{36}$/.test(id)) return null;
+
+    const metaPath = this.metaPath(id);
+    if (!fs.existsSync(metaPath)) return null;
+
+    const upload = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    const partPath = upload.status === 'complete' ? upload.filePath : this.partPath(id);
+    upload.offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+    return upload;
+  }
+
+  /**
+   * The job request of an upload, with its webhook secret
+   * A secret is lost if the server restarted during the upload; the hook is
+   * then registered without one
+   */
+  jobRequest(upload) {
+    const { webhook } = upload.jobRequest;
+    if (!webhook) return upload.jobRequest;
+
+    const secret = this.webhookSecrets.get(upload.id) || null;
+    if (!secret && webhook.signed) {
+      console.warn(`Upload ${upload.id}: webhook secret lost in a restart, deliveries to ${webhook.url} are not signed`);
+    }
+    return { ...upload.jobRequest, webhook: { url: webhook.url, secret } };
+  }
+
+  /**
+   * Append a chunk read from `stream` at `offset`
+   * `checksum` is an optional base64 SHA-256 of the chunk
+   * Returns the updated upload
+   */
+  async appendChunk(id, offset, stream, checksum = null) {
+    const upload = this.get(id);
+    if (!upload) throw uploadError('Upload not found', 404);
+    if (upload.status !== 'uploading') throw uploadError(`Upload is ${upload.status}`, 409);
+    if (this.active.has(id)) throw uploadError('Another chunk is being written', 409);
+    if (offset !== upload.offset) {
+      throw Object.assign(uploadError(`Offset mismatch: upload is at ${upload.offset}`, 409), { offset: upload.offset });
+    }
+
+    this.active.add(id);
+    const partPath = this.partPath(id);
+    const hash = crypto.createHash('sha256');
+    let received = 0;
+
+    const limit = new Transform({
+      transform: (chunk, encoding, callback) => {
+        received += chunk.length;
+        if (offset + received > upload.size) {
+          callback(uploadError('Chunk goes past the declared upload size', 413));
+          return;
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    // Not pipeline(stream, ...): that would destroy the request socket on a
+    // rejected chunk, and the client still needs the response
+    stream.pipe(limit);
+    stream.on('close', () => {
+      if (!stream.complete) limit.destroy(new Error('Connection closed early'));
+    });
+
+    try {
+      await pipeline(limit, fs.createWriteStream(partPath, { flags: 'a' }));
+
+      if (checksum && hash.digest('base64') !== checksum) {
+        throw uploadError('Chunk checksum mismatch', 460);
+      }
+    } catch (error) {
+      stream.unpipe(limit);
+      stream.resume();
+
+      // Leave the file as it was before this chunk so it can be resent
+      fs.truncateSync(partPath, offset);
+      throw error.status ? error : uploadError(`Chunk upload failed: ${error.message}`, 400);
+    } finally {
+      this.active.delete(id);
+    }
+
+    upload.updatedAt = new Date().toISOString();
+    this.save(upload);
+
+    return this.get(id);
+  }
+
+  /**
+   * Verify a fully received upload and move it into place
+   * Returns the upload with `filePath` set and `sha256` holding the file's hash
+   * An upload that is complete already is returned as it is, so a completion
+   * interrupted before its job was created can be finished by a retry
+   */
+  async complete(id) {
+    const upload = this.get(id);
+    if (!upload) throw uploadError('Upload not found', 404);
+    if (upload.status === 'complete') return upload;
+    if (upload.status !== 'uploading') throw uploadError(`Upload is ${upload.status}`, 409);
+    if (upload.offset !== upload.size) throw uploadError('Upload is not complete', 409);
+
+    // Claimed before the first await: no chunk or second completion gets in
+    if (this.active.has(id)) throw uploadError('Upload is being completed', 409);
+    this.active.add(id);
+
+    try {
+      const partPath = this.partPath(id);
+
+      // Always hashed: the digest is what identical uploads are deduplicated on
+      const hash = crypto.createHash('sha256');
+      await pipeline(fs.createReadStream(partPath), hash);
+      const digest = hash.digest('hex');
+
+      if (upload.sha256 && digest !== upload.sha256) {
+        this.remove(id);
+        throw uploadError('File checksum mismatch - upload discarded', 460);
+      }
+      upload.sha256 = digest;
+
+      upload.filePath = path.join(this.uploadsPath, `${id}${path.extname(upload.fileName)}`);
+      fs.renameSync(partPath, upload.filePath);
+
+      upload.status = 'complete';
+      upload.updatedAt = new Date().toISOString();
+      this.save(upload);
+    } finally {
+      this.active.delete(id);
+    }
+
+    return this.get(id);
+  }
+
+  /**
+   * Record the job created from a completed upload
+   */
+  attachJob(id, jobId) {
+    const upload = this.get(id);
+    if (!upload) return;
+
+    upload.jobId = jobId;
+    this.save(upload);
+    // Registered with the job's hooks by now
+    this.webhookSecrets.delete(id);
+  }
+
+  /**
+   * Delete an upload and its data (completed files are kept for their job)
+   */
+  remove(id) {
+    const upload = this.get(id);
+    if (!upload) return false;
+
+    fs.rmSync(this.partPath(id), { force: true });
+    fs.rmSync(this.metaPath(id), { force: true });
+    this.webhookSecrets.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove uploads idle for longer than UPLOAD_EXPIRY_HOURS: incomplete ones
+   * with their data, completed ones only their record (the file is the job's)
+   */
+  removeExpired() {
+    if (!fs.existsSync(this.uploadsPath)) return;
+
+    const cutoff = Date.now() - this.expiryHours * 60 * 60 * 1000;
+
+    for (const entry of fs.readdirSync(this.uploadsPath)) {
+      if (!entry.endsWith('.json')) continue;
+
+      const upload = this.get(path.basename(entry, '.json'));
+      if (!upload || new Date(upload.updatedAt).getTime() >= cutoff) continue;
+
+      if (upload.status === 'uploading') {
+        console.log(`Removing expired upload ${upload.id} (${upload.fileName})`);
+      }
+      this.remove(upload.id);
+    }
+  }
+
+  save(upload) {
+    const { offset, ...record } = upload;
+    const metaPath = this.metaPath(upload.id);
+    fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify(record));
+    fs.renameSync(`${metaPath}.tmp`, metaPath);
+  }
+
+  partPath(id) {
+    return path.join(this.uploadsPath, `${id}.part`);
+  }
+
+  metaPath(id) {
+    return path.join(this.uploadsPath, `${id}.json`);
+  }
+}
+
+module.exports = new UploadService();
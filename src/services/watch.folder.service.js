@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const jobManager = require('./job.manager');
+const pipelineService = require('./pipeline.service');
+const apiKeyService = require('./apikey.service');
+const webhookService = require('./webhook.service');
+const encodingProfiles = require('../utils/encoding.profiles');
+const renditionLadder = require('../utils/rendition.ladder');
+const { parseJobOptions } = require('../utils/job.options');
+
+const DEFAULT_INPUT_PATH = path.join(__dirname, '../../input');
+
+const MEDIA_EXTENSIONS = new Set([
+  '.mp4', '.m4v', '.mkv', '.mov', '.avi', '.webm', '.wmv', '.flv',
+  '.ts', '.m2ts', '.mts', '.mpg', '.mpeg', '.3gp', '.ogv'
+]);
+
+// Top-level folders of INPUT_PATH that are not watched
+const RESERVED_FOLDERS = ['uploads', 'processing', 'done', 'failed'];
+
+// Sidecar with job options for every file in a folder (and its subfolders)
+const FOLDER_SIDECAR = 'job.json';
+
+const TERMINAL_STATUSES = ['ready', 'error', 'cancelled'];
+
+/**
+ * Watch folder: turns media files dropped into INPUT_PATH into jobs
+ *
+ * A file is picked up once its size and mtime have not changed for
+ * WATCH_STABLE_SECONDS, moved to processing/ and converted like an upload.
+ * When its job finishes the source moves to done/ or failed/, keeping the
+ * folder it was dropped in.
+ *
+ * Job options come from, in increasing precedence:
+ *   - folder names: a folder named after an encoding profile (archival/) or a
+ *     ladder preset (mobile/) selects it, e.g. input/archival/mobile/movie.mkv
+ *   - job.json in the file's folder or any parent folder (nearest wins)
+ *   - a sidecar next to the file, named after it: movie.mkv.json
+ * Sidecars accept the same options as POST /api/stream/start (except
+ * progressive); a file whose options are invalid goes straight to failed/.
+ */
+class WatchFolderService {
+  constructor() {
+    this.enabled = process.env.WATCH_FOLDER === 'true';
+    this.inputPath = process.env.INPUT_PATH || DEFAULT_INPUT_PATH;
+    this.interval = parseInt(process.env.WATCH_INTERVAL || '10', 10);
+    this.stableSeconds = parseInt(process.env.WATCH_STABLE_SECONDS || '30', 10);
+    this.owner = process.env.WATCH_OWNER || null;
+    this.candidates = new Map();
+    this.watched = new Map();
+    this.timer = null;
+
+    if (!Number.isInteger(this.interval) || this.interval < 1) {
+      throw new Error('WATCH_INTERVAL must be a positive number of seconds');
+    }
+    if (!Number.isInteger(this.stableSeconds) || this.stableSeconds < 0) {
+      throw new Error('WATCH_STABLE_SECONDS must be a number of seconds');
+    }
+  }
+
+  /**
+   * Start polling INPUT_PATH (no-op unless WATCH_FOLDER=true)
+   */
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    if (this.owner && !apiKeyService.get(this.owner)) {
+      throw new Error(`WATCH_OWNER "${this.owner}" is not a known API key id`);
+    }
+
+    fs.mkdirSync(this.inputPath, { recursive: true });
+    this.recover();
+
+    this.timer = setInterval(() => {
+      try {
+        this.scan();
+      } catch (error) {
+        console.error('Watch folder: scan failed:', error.message);
+      }
+    }, this.interval * 1000);
+    this.timer.unref();
+    this.scan();
+
+    console.log(`Watching ${this.inputPath} for new media files`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Reattach to sources left in processing/ by a previous run
+   * Interrupted jobs are resumed; sources without a job count as failed
+   */
+  recover() {
+    const processingPath = path.join(this.inputPath, 'processing');
+
+    for (const filePath of this.listFiles(processingPath)) {
+      const job = jobManager.getAllJobs().find(j => j.options?.inputFile === filePath);
+      const relativePath = path.relative(processingPath, filePath);
+
+      if (!job) {
+        console.warn(`Watch folder: no job for ${relativePath}, moving it to failed/`);
+        try {
+          this.moveTo('failed', filePath, relativePath);
+        } catch (error) {
+          console.error(`Watch folder: could not move ${relativePath} to failed/:`, error.message);
+        }
+        continue;
+      }
+
+      this.track(job.id, filePath, relativePath);
+
+      if (job.status === 'interrupted') {
+        jobManager.updateJob(job.id, {
+          status: 'created',
+          progress: 0,
+          message: null,
+          previousStatus: null
+        });
+        pipelineService.start(job);
+      } else {
+        this.settle(job);
+      }
+    }
+  }
+
+  /**
+   * Look for new files and ingest the ones that stopped growing
+   */
+  scan() {
+    const seen = new Set();
+    const now = Date.now();
+
+    for (const filePath of this.listFiles(this.inputPath, true)) {
+      if (!MEDIA_EXTENSIONS.has(path.extname(filePath).toLowerCase())) continue;
+
+      let stat;
+      try {
+        stat = fs.statSync(filePath);
+      } catch {
+        continue;
+      }
+
+      seen.add(filePath);
+      const previous = this.candidates.get(filePath);
+
+      if (!previous || previous.size !== stat.size || previous.mtimeMs !== stat.mtimeMs) {
+        this.candidates.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, since: now });
+        if (this.stableSeconds > 0) continue;
+      } else if (now - previous.since < this.stableSeconds * 1000) {
+        continue;
+      }
+
+      this.candidates.delete(filePath);
+
+      // A file that vanishes or cannot be moved is skipped, not fatal
+      try {
+        this.ingest(filePath);
+      } catch (error) {
+        console.error(`Watch folder: could not ingest ${path.relative(this.inputPath, filePath)}:`, error.message);
+      }
+    }
+
+    // Forget files that disappeared before they settled
+    for (const filePath of this.candidates.keys()) {
+      if (!seen.has(filePath)) this.candidates.delete(filePath);
+    }
+  }
+
+  /**
+   * Create a job for a settled file and move it to processing/
+   */
+  ingest(filePath) {
+    const relativePath = path.relative(this.inputPath, filePath);
+
+    let request;
+    try {
+      request = this.resolveOptions(filePath);
+    } catch (error) {
+      request = { error: error.message };
+    }
+
+    if (request.error) {
+      console.warn(`Watch folder: ${relativePath} rejected: ${request.error}`);
+      this.moveTo('failed', filePath, relativePath);
+      this.removeSidecar(filePath);
+      return;
+    }
+
+    const processingFile = this.moveTo('processing', filePath, relativePath);
+    this.removeSidecar(filePath);
+
+    const job = jobManager.createJob(null, {
+      ...request.options,
+      inputFile: processingFile,
+      fileName: path.basename(filePath),
+      // The source is filed into done/ instead
+      keepSource: true,
+      watchPath: relativePath
+    }, request.priority, this.owner);
+
+    console.log(`Watch folder: ${relativePath} -> job ${job.id}`);
+    webhookService.register(job, request.webhook);
+
+    this.track(job.id, processingFile, relativePath);
+    pipelineService.start(job);
+  }
+
+  /**
+   * Merge folder-name conventions and sidecars into validated job options
+   */
+  resolveOptions(filePath) {
+    const relativeDir = path.relative(this.inputPath, path.dirname(filePath));
+    const folders = relativeDir ? relativeDir.split(path.sep) : [];
+    const { profiles } = encodingProfiles.getProfiles();
+    const { ladders } = renditionLadder.getPresets();
+    const body = {};
+
+    for (const folder of folders) {
+      if (Object.hasOwn(profiles, folder)) body.profile = folder;
+      if (ladders.includes(folder)) body.ladder = folder;
+    }
+
+    // Folder sidecars from the top down, so the nearest one wins
+    let dir = this.inputPath;
+    for (const folder of ['', ...folders]) {
+      dir = path.join(dir, folder);
+      Object.assign(body, this.readSidecar(path.join(dir, FOLDER_SIDECAR)));
+    }
+    Object.assign(body, this.readSidecar(`${filePath}.json`));
+
+    return parseJobOptions(body, { allowProgressive: false });
+  }
+
+  readSidecar(sidecarPath) {
+    if (!fs.existsSync(sidecarPath)) return {};
+
+    let options;
+    try {
+      options = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`${path.basename(sidecarPath)} is not valid JSON: ${error.message}`);
+    }
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`${path.basename(sidecarPath)} must contain a JSON object`);
+    }
+    return options;
+  }
+
+  removeSidecar(filePath) {
+    fs.rmSync(`${filePath}.json`, { force: true });
+  }
+
+  /**
+   * Follow a job until it finishes, then file its source
+   */
+  track(jobId, filePath, relativePath) {
+    const unsubscribe = jobManager.subscribe(jobId, (job) => this.settle(job));
+    this.watched.set(jobId, { filePath, relativePath, unsubscribe });
+  }
+
+  settle(job) {
+    const entry = this.watched.get(job.id);
+    if (!entry || !TERMINAL_STATUSES.includes(job.status)) return;
+
+    this.watched.delete(job.id);
+    entry.unsubscribe();
+
+    const folder = job.status === 'ready' ? 'done' : 'failed';
+    try {
+      const target = this.moveTo(folder, entry.filePath, entry.relativePath);
+      // Retries and reprocessing read the source from where it was filed
+      if (job.status !== 'cancelled') {
+        jobManager.updateJob(job.id, { sourceFile: target });
+      }
+    } catch (error) {
+      console.error(`Watch folder: could not move ${entry.relativePath} to ${folder}/:`, error.message);
+    }
+  }
+
+  /**
+   * Move a file to INPUT_PATH/<folder>/<relativePath>, never overwriting
+   * Returns the new path
+   */
+  moveTo(folder, filePath, relativePath) {
+    let target = path.join(this.inputPath, folder, relativePath);
+
+    if (fs.existsSync(target)) {
+      const { dir, name, ext } = path.parse(target);
+      target = path.join(dir, `${name}-${Date.now()}${ext}`);
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.renameSync(filePath, target);
+    return target;
+  }
+
+  /**
+   * Files below `dir`, skipping hidden entries (and reserved folders at the top)
+   */
+  listFiles(dir, skipReserved = false) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      // Folders come and go while files are dropped in
+      if (error.code !== 'ENOENT') {
+        console.warn(`Watch folder: cannot read ${dir}:`, error.message);
+      }
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (skipReserved && RESERVED_FOLDERS.includes(entry.name)) continue;
+        files.push(...this.listFiles(entryPath));
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+}
+
+module.exports = new WatchFolderService();
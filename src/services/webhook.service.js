@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const jobManager = require('./job.manager');
+const urlPolicy = require('../utils/url.policy');
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '../../data');
+
+// Event sent for each reported job status; `created` covers new jobs and
+// jobs sent through the pipeline again (retry, reprocess)
+const EVENTS = {
+  created: 'queued',
+  downloaded: 'downloaded',
+  ready: 'ready',
+  error: 'error',
+  cancelled: 'cancelled'
+};
+
+// Deliveries kept in a job's log
+const MAX_LOG_ENTRIES = 100;
+
+// First retry delay; doubles with every attempt
+const RETRY_BASE_DELAY = 1000;
+
+/**
+ * Webhook notifications for job lifecycle events
+ *
+ * A job can register callback URLs when it is created (`webhook` in the job
+ * options); WEBHOOK_URL receives the events of every job. Each event is a
+ * JSON POST with these headers:
+ *
+ *   X-Webhook-Id         delivery id (unique per attempt series)
+ *   X-Webhook-Event      queued | downloaded | ready | error | cancelled
+ *   X-Webhook-Timestamp  unix seconds
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Job hooks are signed with their own secret (unsigned without one),
+ * WEBHOOK_URL with WEBHOOK_SECRET. Job hooks come from API clients, so they
+ * go through the URL policy like sources do; WEBHOOK_URL is configured by
+ * the operator and may point at internal hosts.
+ *
+ * Non-2xx responses and network errors are retried with exponential
+ * backoff up to WEBHOOK_MAX_ATTEMPTS; every delivery and attempt
+ * is kept in a per-job log in DATA_PATH/webhooks. Retries still pending at
+ * shutdown are not resumed - they can be sent again with redeliver().
+ */
+class WebhookService {
+  constructor() {
+    this.logPath = path.join(process.env.DATA_PATH || DEFAULT_DATA_PATH, 'webhooks');
+    this.globalUrl = process.env.WEBHOOK_URL || null;
+    this.secret = process.env.WEBHOOK_SECRET || null;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT || '10', 10) * 1000;
+
+    if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+      throw new Error('WEBHOOK_MAX_ATTEMPTS must be a positive integer');
+    }
+    if (!Number.isInteger(this.timeout) || this.timeout < 1000) {
+      throw new Error('WEBHOOK_TIMEOUT must be a positive number of seconds');
+    }
+    if (this.globalUrl) {
+      let scheme;
+      try {
+        scheme = new URL(this.globalUrl).protocol;
+      } catch {
+        scheme = null;
+      }
+      if (!['http:', 'https:'].includes(scheme)) {
+        throw new Error('WEBHOOK_URL must be an http(s) URL');
+      }
+      if (!this.secret) {
+        console.warn('WEBHOOK_URL is set without WEBHOOK_SECRET - deliveries are not signed');
+      }
+    }
+
+    jobManager.on('status', (job) => {
+      try {
+        this.onStatus(job);
+      } catch (error) {
+        console.error(`Webhook error for job ${job.id}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Validate a `webhook` job option: a URL or { url, secret? }
+   * Returns { url, secret } or throws
+   */
+  parse(webhook) {
+    const { url, secret = null } = typeof webhook === 'string' ? { url: webhook } : (webhook || {});
+
+    if (!url || typeof url !== 'string') {
+      throw new Error('webhook must be a URL or { url, secret }');
+    }
+    if (secret !== null && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new Error('webhook secret must be a string of at least 16 characters');
+    }
+
+    urlPolicy.checkUrl(url, { domainLists: false });
+    return { url, secret };
+  }
+
+  /**
+   * Add a callback URL to a job
+   * A job that already finished gets its final event right away
+   */
+  register(job, webhook) {
+    if (!webhook) return null;
+
+    const log = this.load(job.id);
+    const hook = { id: crypto.randomUUID(), url: webhook.url, secret: webhook.secret || null };
+    log.hooks.push(hook);
+    this.save(job.id, log);
+
+    if (['ready', 'error', 'cancelled'].includes(job.status)) {
+      this.deliver(job.id, hook, this.payload(job.status, job));
+    }
+    return hook;
+  }
+
+  /**
+   * Job status changed: send the event to the job's hooks and WEBHOOK_URL
+   */
+  onStatus(job) {
+    const event = EVENTS[job.status];
+    if (!event) return;
+
+    const payload = this.payload(event, job);
+
+    // A new job's hooks are registered right after it is created, in the same tick
+    setImmediate(() => {
+      try {
+        const hooks = this.load(job.id).hooks;
+        if (this.globalUrl) {
+          hooks.push({ id: 'global', url: this.globalUrl, secret: null });
+        }
+
+        for (const hook of hooks) {
+          this.deliver(job.id, hook, payload);
+        }
+      } catch (error) {
+        console.error(`Webhook error for job ${job.id}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Event body (the same payload is used for every hook and redelivery)
+   */
+  payload(event, job) {
+    return {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      job: {
+        id: job.id,
+        status: job.status,
+        url: job.url || null,
+        fileName: job.fileName || job.fileInfo?.name || null,
+        message: job.message || null,
+        queue: job.queue || null,
+        streamUrl: job.streamUrl || null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+      }
+    };
+  }
+
+  /**
+   * Start a delivery series for one hook; returns the log entry
+   */
+  deliver(jobId, hook, payload, { redelivery = false } = {}) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      hookId: hook.id,
+      url: hook.url,
+      event: payload.event,
+      redelivery,
+      status: 'pending',
+      payload,
+      attempts: [],
+      createdAt: new Date().toISOString()
+    };
+
+    this.updateLog(jobId, log => {
+      log.deliveries.push(delivery);
+      log.deliveries = log.deliveries.slice(-MAX_LOG_ENTRIES);
+    });
+
+    this.attempt(jobId, hook, delivery);
+    return delivery;
+  }
+
+  /**
+   * Send a delivery again, with the original payload
+   */
+  redeliver(jobId, deliveryId) {
+    const log = this.load(jobId);
+    const original = log.deliveries.find(d => d.id === deliveryId);
+    if (!original) return null;
+
+    const hook = original.hookId === 'global'
+      ? { id: 'global', url: this.globalUrl || original.url, secret: null }
+      : log.hooks.find(h => h.id === original.hookId);
+    if (!hook) return null;
+
+    return this.deliver(jobId, hook, original.payload, { redelivery: true });
+  }
+
+  async attempt(jobId, hook, delivery) {
+    // Deleted by retention while a retry was pending
+    if (!jobManager.getJob(jobId)) return;
+
+    const started = Date.now();
+    const attempt = { at: new Date().toISOString() };
+
+    try {
+      attempt.statusCode = await this.send(hook, delivery);
+      if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+        attempt.error = `HTTP ${attempt.statusCode}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - started;
+
+    const attempts = delivery.attempts.length + 1;
+    const retry = attempt.error && attempts < this.maxAttempts;
+
+    delivery.attempts.push(attempt);
+    delivery.status = attempt.error ? (retry ? 'retrying' : 'failed') : 'delivered';
+
+    // Nothing awaits this method: a log that cannot be written must not
+    // become an unhandled rejection or stop the retries
+    try {
+      this.updateLog(jobId, log => {
+        const index = log.deliveries.findIndex(d => d.id === delivery.id);
+        if (index !== -1) log.deliveries[index] = delivery;
+      });
+    } catch (error) {
+      console.error(`Webhook error for job ${jobId}:`, error.message);
+    }
+
+    if (retry) {
+      const delay = RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+      setTimeout(() => this.attempt(jobId, hook, delivery), delay).unref();
+    } else if (attempt.error) {
+      console.warn(`Webhook ${delivery.event} for job ${jobId} to ${hook.url} failed after ${attempts} attempts: ${attempt.error}`);
+    }
+  }
+
+  /**
+   * POST a delivery; resolves with the response status code
+   * Redirects are not followed
+   */
+  send(hook, delivery) {
+    return new Promise((resolve, reject) => {
+      const global = hook.id === 'global';
+
+      let parsedUrl;
+      try {
+        parsedUrl = global ? new URL(hook.url) : urlPolicy.checkUrl(hook.url, { domainLists: false });
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'HLS-Player-Webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp)
+      };
+
+      const secret = global ? this.secret : hook.secret;
+      if (secret) {
+        headers['X-Webhook-Signature'] = `sha256=${this.sign(secret, timestamp, body)}`;
+      }
+
+      const protocol = parsedUrl.protocol === 'https:' ? https : http;
+      const req = protocol.request(hook.url, {
+        method: 'POST',
+        headers,
+        // Private addresses are refused for client-supplied hooks only
+        lookup: global ? undefined : urlPolicy.lookup,
+        timeout: this.timeout
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Timed out')));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Hooks (without secrets) and delivery log of a job
+   */
+  describe(jobId) {
+    const log = this.load(jobId);
+    return {
+      hooks: [
+        ...log.hooks.map(({ id, url, secret }) => ({ id, url, signed: Boolean(secret) })),
+        ...(this.globalUrl ? [{ id: 'global', url: this.globalUrl, signed: Boolean(this.secret) }] : [])
+      ],
+      deliveries: log.deliveries
+    };
+  }
+
+  /**
+   * Delete a job's hooks and log
+   */
+  remove(jobId) {
+    fs.rmSync(this.logFile(jobId), { force: true });
+  }
+
+  load(jobId) {
+    const file = this.logFile(jobId);
+    if (!fs.existsSync(file)) return { hooks: [], deliveries: [] };
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  save(jobId, log) {
+    fs.mkdirSync(this.logPath, { recursive: true });
+    const file = this.logFile(jobId);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(log), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  updateLog(jobId, update) {
+    const log = this.load(jobId);
+    update(log);
+    this.save(jobId, log);
+  }
+
+  logFile(jobId) {
+    return path.join(this.logPath, `${path.basename(jobId)}.json`);
+  }
+}
+
+module.exports = new WebhookService();
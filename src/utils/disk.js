@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+/**
+ * Parse a size like "10gb" or "512mb" (plain numbers are bytes)
+ */
+function parseSize(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/);
+  if (!match) return NaN;
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Size of a file (0 if missing)
+ */
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+/**
+ * Total size of the files in a directory tree (0 if missing)
+ * Entries deleted while the tree is walked (temp files of a running job,
+ * a concurrent delete) are skipped
+ */
+function directorySize(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return 0;
+    throw error;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    total += entry.isDirectory() ? directorySize(entryPath) : fileSize(entryPath);
+  }
+  return total;
+}
+
+module.exports = {
+  parseSize,
+  fileSize,
+  directorySize
+};
@@ -0,0 +1,114 @@
+/**
+ * Named encoding profiles
+ *
+ * `default` is built from the environment (SEGMENT_DURATION, VIDEO_PRESET,
+ * VIDEO_CRF, AUDIO_BITRATE, FFMPEG_THREADS); the other profiles are fixed.
+ * Jobs pick a profile and may override individual settings; the resolved
+ * settings are stored with the job so its output can be reproduced.
+ */
+const X264_PRESETS = [
+  'ultrafast', 'superfast', 'veryfast', 'faster', 'fast',
+  'medium', 'slow', 'slower', 'veryslow'
+];
+
+const PROFILES = {
+  fast: { segmentDuration: 6, videoPreset: 'ultrafast', videoCrf: 28, audioBitrate: '128k' },
+  balanced: { segmentDuration: 4, videoPreset: 'medium', videoCrf: 23, audioBitrate: '192k' },
+  archival: { segmentDuration: 4, videoPreset: 'slow', videoCrf: 18, audioBitrate: '256k' }
+};
+
+const SETTINGS = ['segmentDuration', 'videoPreset', 'videoCrf', 'audioBitrate', 'threads'];
+
+class EncodingProfiles {
+  constructor() {
+    this.profiles = {
+      default: {
+        segmentDuration: Number(process.env.SEGMENT_DURATION || 6),
+        videoPreset: process.env.VIDEO_PRESET || 'ultrafast',
+        videoCrf: Number(process.env.VIDEO_CRF || 23),
+        audioBitrate: process.env.AUDIO_BITRATE || '128k'
+      },
+      ...PROFILES
+    };
+    this.threads = Number(process.env.FFMPEG_THREADS || 0);
+    this.defaultProfile = process.env.ENCODING_PROFILE || 'default';
+
+    // Fail at boot rather than on the first job
+    const errors = [
+      ...this.validate({ ...this.profiles.default, threads: this.threads }),
+      ...(Object.hasOwn(this.profiles, this.defaultProfile) ? [] : [`unknown ENCODING_PROFILE "${this.defaultProfile}"`])
+    ];
+    if (errors.length > 0) {
+      throw new Error(`Invalid encoding settings in environment: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * List available profiles and their settings
+   */
+  getProfiles() {
+    return {
+      profiles: this.profiles,
+      default: this.defaultProfile
+    };
+  }
+
+  /**
+   * Check a (partial) settings object, returning a list of problems
+   */
+  validate(settings) {
+    const errors = [];
+    const { segmentDuration, videoPreset, videoCrf, audioBitrate, threads } = settings;
+
+    for (const key of Object.keys(settings)) {
+      if (!SETTINGS.includes(key)) errors.push(`unknown setting "${key}"`);
+    }
+    if (segmentDuration !== undefined &&
+        !(Number.isFinite(segmentDuration) && segmentDuration >= 1 && segmentDuration <= 30)) {
+      errors.push('segmentDuration must be between 1 and 30 seconds');
+    }
+    if (videoPreset !== undefined && !X264_PRESETS.includes(videoPreset)) {
+      errors.push(`videoPreset must be one of ${X264_PRESETS.join(', ')}`);
+    }
+    if (videoCrf !== undefined && !(Number.isInteger(videoCrf) && videoCrf >= 0 && videoCrf <= 51)) {
+      errors.push('videoCrf must be an integer between 0 and 51');
+    }
+    if (audioBitrate !== undefined && !/^\d{2,3}k$/.test(audioBitrate)) {
+      errors.push('audioBitrate must look like "128k"');
+    }
+    if (threads !== undefined && !(Number.isInteger(threads) && threads >= 0)) {
+      errors.push('threads must be a non-negative integer (0 = auto)');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve a profile name plus per-job overrides into full settings
+   * Throws if the profile is unknown or an override is invalid
+   */
+  resolve(profile, overrides = {}) {
+    const name = profile || this.defaultProfile;
+
+    if (!Object.hasOwn(this.profiles, name)) {
+      throw new Error(`Unknown encoding profile "${name}"`);
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('encoding must be an object');
+    }
+
+    const errors = this.validate(overrides);
+    if (errors.length > 0) {
+      throw new Error(`Invalid encoding settings: ${errors.join('; ')}`);
+    }
+
+    return {
+      profile: name,
+      threads: this.threads,
+      ...this.profiles[name],
+      ...overrides
+    };
+  }
+}
+
+module.exports = new EncodingProfiles();
@@ -0,0 +1,146 @@
+const renditionLadder = require('./rendition.ladder');
+const encodingProfiles = require('./encoding.profiles');
+const encryptionService = require('../services/encryption.service');
+const webhookService = require('../services/webhook.service');
+
+// Transcode straight from the source URL unless the request says otherwise
+const PROGRESSIVE_DEFAULT = process.env.PROGRESSIVE === 'true';
+
+// Keep the source file after a successful conversion unless the request says otherwise
+const KEEP_SOURCE_DEFAULT = process.env.KEEP_SOURCE === 'true';
+
+// BCP 47-style language tag (en, jpn, pt-BR)
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Validate an audio track selection: which source audio streams to include
+ * (by 0-based audio stream index), in playlist order, with optional
+ * name/language overrides and at most one default
+ *
+ * Returns an error message or null
+ */
+function validateAudioTracks(audioTracks) {
+  if (!Array.isArray(audioTracks) || audioTracks.length === 0) {
+    return 'audioTracks must be a non-empty array';
+  }
+
+  const seen = new Set();
+  for (const track of audioTracks) {
+    if (!track || typeof track !== 'object' || !Number.isInteger(track.index) || track.index < 0) {
+      return 'Every audio track needs a source index (0-based audio stream number)';
+    }
+    if (seen.has(track.index)) {
+      return `Audio track ${track.index} is selected twice`;
+    }
+    seen.add(track.index);
+
+    if (track.name !== undefined && (typeof track.name !== 'string' || !track.name.trim())) {
+      return `Audio track ${track.index}: name must be a non-empty string`;
+    }
+    if (track.language !== undefined && (typeof track.language !== 'string' || !LANGUAGE_PATTERN.test(track.language))) {
+      return `Audio track ${track.index}: language must be a language code such as "en" or "pt-BR"`;
+    }
+    if (track.default !== undefined && typeof track.default !== 'boolean') {
+      return `Audio track ${track.index}: default must be a boolean`;
+    }
+  }
+
+  if (audioTracks.filter(track => track.default).length > 1) {
+    return 'Only one audio track can be the default';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the conversion options shared by every endpoint that creates jobs
+ * (ladder, priority, progressive, profile/encoding, encrypt, audioTracks,
+ * keepSource)
+ *
+ * Returns { options, priority, webhook } or { error, details } for a 400 response.
+ * `webhook` ({ url, secret } or null) is registered with the webhook service
+ * once the job exists, so its secret never ends up in the job record.
+ * `progressive` is only accepted for URL sources.
+ */
+function parseJobOptions(body, { allowProgressive = true } = {}) {
+  const {
+    ladder, priority = 0,
+    progressive = allowProgressive && PROGRESSIVE_DEFAULT,
+    profile, encoding: encodingOverrides,
+    encrypt = encryptionService.enabledByDefault,
+    audioTracks,
+    keepSource = KEEP_SOURCE_DEFAULT,
+    webhook
+  } = body;
+
+  if (!renditionLadder.isValid(ladder)) {
+    return { error: 'Invalid ladder', details: renditionLadder.getPresets() };
+  }
+
+  if (!Number.isInteger(priority)) {
+    return { error: 'priority must be an integer' };
+  }
+
+  if (typeof progressive !== 'boolean') {
+    return { error: 'progressive must be a boolean' };
+  }
+
+  if (progressive && !allowProgressive) {
+    return { error: 'progressive is only supported for URL sources' };
+  }
+
+  if (typeof encrypt !== 'boolean') {
+    return { error: 'encrypt must be a boolean' };
+  }
+
+  // Segments are encrypted once conversion has finished
+  if (encrypt && progressive) {
+    return { error: 'encrypt cannot be combined with progressive' };
+  }
+
+  if (typeof keepSource !== 'boolean') {
+    return { error: 'keepSource must be a boolean' };
+  }
+
+  if (audioTracks !== undefined) {
+    const audioError = validateAudioTracks(audioTracks);
+    if (audioError) {
+      return { error: audioError };
+    }
+  }
+
+  let callback = null;
+  if (webhook !== undefined && webhook !== null) {
+    try {
+      callback = webhookService.parse(webhook);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  let encoding;
+  try {
+    encoding = encodingProfiles.resolve(profile, encodingOverrides);
+  } catch (error) {
+    return { error: error.message, details: encodingProfiles.getProfiles() };
+  }
+
+  return {
+    priority,
+    webhook: callback,
+    options: {
+      ladder: ladder || renditionLadder.defaultLadder,
+      progressive,
+      encoding,
+      encrypt,
+      audioTracks: audioTracks
+        ? audioTracks.map(({ index, name, language, default: isDefault }) => ({ index, name, language, default: isDefault }))
+        : null,
+      keepSource
+    }
+  };
+}
+
+module.exports = {
+  parseJobOptions
+};
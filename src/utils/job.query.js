@@ -0,0 +1,180 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sortable fields and how to read them from a job
+const SORT_FIELDS = {
+  createdAt: job => new Date(job.createdAt).getTime(),
+  updatedAt: job => new Date(job.updatedAt).getTime(),
+  priority: job => job.priority || 0,
+  status: job => job.status,
+  fileName: job => (fileNameOf(job) || '').toLowerCase()
+};
+
+function fileNameOf(job) {
+  return job.fileName || job.fileInfo?.name || job.options?.fileName || null;
+}
+
+function hostOf(job) {
+  try {
+    return new URL(job.url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value, name) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} must be a date (ISO 8601)`);
+  }
+  return time;
+}
+
+/**
+ * Validate the query string of GET /api/stream/jobs
+ *
+ *   status   comma-separated statuses
+ *   from/to  creation date range (ISO 8601, inclusive)
+ *   host     source host (subdomains match too)
+ *   q        case-insensitive text in the file name
+ *   owner    API key id (admins only; others always see their own jobs)
+ *   sort     createdAt | updatedAt | priority | status | fileName,
+ *            prefixed with "-" for descending (default -createdAt)
+ *   limit    page size (1-100, default 20)
+ *   cursor   nextCursor of the previous page
+ *
+ * Returns { query } or { error } for a 400 response
+ */
+function parseJobQuery(params) {
+  try {
+    const query = {
+      statuses: params.status ? String(params.status).split(',').map(s => s.trim()).filter(Boolean) : null,
+      from: params.from ? parseDate(params.from, 'from') : null,
+      to: params.to ? parseDate(params.to, 'to') : null,
+      host: params.host ? String(params.host).toLowerCase() : null,
+      text: params.q ? String(params.q).toLowerCase() : null,
+      owner: params.owner ? String(params.owner) : null,
+      limit: params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit),
+      after: null
+    };
+
+    const sort = params.sort ? String(params.sort) : '-createdAt';
+    query.descending = sort.startsWith('-');
+    query.sortField = sort.replace(/^-/, '');
+
+    if (!Object.hasOwn(SORT_FIELDS, query.sortField)) {
+      throw new Error(`sort must be one of ${Object.keys(SORT_FIELDS).join(', ')} (prefix - for descending)`);
+    }
+    if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_LIMIT) {
+      throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    if (params.cursor) {
+      let cursor;
+      try {
+        cursor = JSON.parse(Buffer.from(String(params.cursor), 'base64url').toString('utf8'));
+      } catch {
+        cursor = null;
+      }
+      if (!cursor || cursor.sort !== sort || !Array.isArray(cursor.after) || cursor.after.length !== 2) {
+        throw new Error('Invalid cursor for this sort order');
+      }
+      query.after = cursor.after;
+    }
+
+    query.sort = sort;
+    return { query };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Filter, sort and page jobs
+ * Returns { jobs, total, counts, nextCursor }; `counts` are per status over
+ * every filter except `status`, so they can be shown next to a status filter
+ */
+function queryJobs(allJobs, query) {
+  const matching = allJobs.filter(job => {
+    if (query.owner && job.owner !== query.owner) return false;
+
+    const created = new Date(job.createdAt).getTime();
+    if (query.from !== null && created < query.from) return false;
+    if (query.to !== null && created > query.to) return false;
+
+    if (query.host) {
+      const host = hostOf(job);
+      if (!host || (host !== query.host && !host.endsWith(`.${query.host}`))) return false;
+    }
+
+    if (query.text && !(fileNameOf(job) || '').toLowerCase().includes(query.text)) return false;
+
+    return true;
+  });
+
+  const counts = {};
+  for (const job of matching) {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  }
+
+  const filtered = query.statuses
+    ? matching.filter(job => query.statuses.includes(job.status))
+    : matching;
+
+  // Sort by the field, then id, so the order (and the cursor) is stable
+  const read = SORT_FIELDS[query.sortField];
+  const direction = query.descending ? -1 : 1;
+  const compare = ([valueA, idA], [valueB, idB]) => {
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    return idA < idB ? -direction : idA > idB ? direction : 0;
+  };
+
+  const sorted = filtered
+    .map(job => ({ job, key: [read(job), job.id] }))
+    .sort((a, b) => compare(a.key, b.key));
+
+  const start = query.after
+    ? sorted.findIndex(entry => compare(entry.key, query.after) > 0)
+    : 0;
+  const page = start === -1 ? [] : sorted.slice(start, start + query.limit);
+
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + query.limit < sorted.length;
+
+  return {
+    jobs: page.map(entry => summarize(entry.job)),
+    total: filtered.length,
+    counts,
+    nextCursor: hasMore
+      ? Buffer.from(JSON.stringify({ sort: query.sort, after: last.key })).toString('base64url')
+      : null
+  };
+}
+
+/**
+ * The fields of a job shown in listings (GET /api/stream/status/:jobId has the rest)
+ */
+function summarize(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    message: job.message || null,
+    url: job.url || null,
+    host: hostOf(job),
+    fileName: fileNameOf(job),
+    owner: job.owner || null,
+    priority: job.priority || 0,
+    queue: job.queue || null,
+    pinned: Boolean(job.pinned),
+    streamUrl: job.streamUrl || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+module.exports = {
+  parseJobQuery,
+  queryJobs
+};
@@ -1,51 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+
+// Media characteristics (Apple UTIs) for non-main audio roles
+const AUDIO_CHARACTERISTICS = {
+  commentary: 'public.auxiliary-content',
+  description: 'public.accessibility.describes-video'
+};
+
+/**
+ * Make a value safe for a quoted playlist attribute
+ * (quoted strings cannot contain double quotes or line breaks)
+ */
+function attributeText(value) {
+  return String(value).replace(/[\r\n]+/g, ' ').replace(/"/g, "'");
+}
+
 class PlaylistGenerator {
   /**
-   * Generate HLS master playlist with multiple audio tracks
+   * Generate HLS master playlist with multiple audio and subtitle tracks
+   * and one EXT-X-STREAM-INF per video rendition
    */
-  generateMaster({ videoPlaylist, audioTracks, resolution, bandwidth, codecs = 'avc1.640028,mp4a.40.2' }) {
+  generateMaster({ variants, audioTracks, subtitleTracks = [], imageStreams = [] }) {
     const lines = [
       '#EXTM3U',
       '#EXT-X-VERSION:7',
+      '#EXT-X-INDEPENDENT-SEGMENTS',
       ''
     ];
 
-    console.log('Generating master playlist for', audioTracks.length, 'audio tracks');
+    // Add audio tracks as EXT-X-MEDIA (NAME must be unique within the group)
+    const audioNames = new Map();
+    const groupIds = [...new Set(audioTracks.map(track => track.groupId || 'audio'))];
+    for (const groupId of groupIds) {
+      const members = audioTracks.filter(track => (track.groupId || 'audio') === groupId);
+      this.uniqueNames(members.map(track => attributeText(track.name)))
+        .forEach((name, i) => audioNames.set(members[i], name));
+    }
+
+    for (const track of audioTracks) {
+      const name = audioNames.get(track);
+      const isDefault = track.default ? 'YES' : 'NO';
+      // Players should only pick commentary/description when asked to
+      const autoSelect = track.default || !track.role ? 'YES' : 'NO';
+      const characteristics = AUDIO_CHARACTERISTICS[track.role];
+
+      const attributes = [
+        'TYPE=AUDIO',
+        `GROUP-ID="${track.groupId || 'audio'}"`,
+        `NAME="${name}"`,
+        `LANGUAGE="${attributeText(track.language)}"`,
+        `DEFAULT=${isDefault}`,
+        `AUTOSELECT=${autoSelect}`,
+        characteristics ? `CHARACTERISTICS="${characteristics}"` : null,
+        track.channels ? `CHANNELS="${track.channels}"` : null,
+        `URI="${track.uri}"`
+      ].filter(Boolean);
+
+      lines.push(`#EXT-X-MEDIA:${attributes.join(',')}`);
+    }
+
+    lines.push('');
 
-    // Add audio tracks as EXT-X-MEDIA
-    for (let i = 0; i < audioTracks.length; i++) {
-      const track = audioTracks[i];
+    // Add subtitle tracks as EXT-X-MEDIA (one group, so names must differ too)
+    const subtitleNames = this.uniqueNames(subtitleTracks.map(track => attributeText(track.name)));
+    subtitleTracks.forEach((track, i) => {
+      // AUTOSELECT must be YES whenever DEFAULT is YES
       const isDefault = track.default ? 'YES' : 'NO';
-      const autoSelect = 'YES'; // All tracks auto-selectable
-      
-      // Sanitize language code to match filename (same as FFmpeg service)
-      const safeLanguage = track.language.replace(/[^a-z0-9]/gi, '_');
-      
-      console.log(`Audio track ${i}: ${track.language} -> ${safeLanguage} (${track.name})`);
-      
+      const isForced = track.forced ? 'YES' : 'NO';
+
       lines.push(
-        `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="${track.name}",` +
-        `LANGUAGE="${track.language}",DEFAULT=${isDefault},AUTOSELECT=${autoSelect},` +
-        `URI="audio_${safeLanguage}.m3u8"`
+        `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="${subtitleNames[i]}",` +
+        `LANGUAGE="${attributeText(track.language)}",DEFAULT=${isDefault},AUTOSELECT=YES,` +
+        `FORCED=${isForced},URI="${track.uri}"`
+      );
+    });
+
+    if (subtitleTracks.length > 0) {
+      lines.push('');
+    }
+
+    // Add video variants, each tied to one audio group and sharing subtitles
+    for (const variant of variants) {
+      const attributes = [
+        `BANDWIDTH=${variant.bandwidth}`,
+        variant.averageBandwidth ? `AVERAGE-BANDWIDTH=${variant.averageBandwidth}` : null,
+        `RESOLUTION=${variant.resolution}`,
+        variant.frameRate ? `FRAME-RATE=${variant.frameRate.toFixed(3)}` : null,
+        `CODECS="${variant.codecs}"`,
+        `AUDIO="${variant.audioGroup || 'audio'}"`,
+        subtitleTracks.length > 0 ? 'SUBTITLES="subs"' : null
+      ].filter(Boolean);
+
+      lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+      lines.push(variant.uri);
+    }
+
+    // Thumbnail image playlists (trick play)
+    for (const stream of imageStreams) {
+      lines.push(
+        `#EXT-X-IMAGE-STREAM-INF:BANDWIDTH=${stream.bandwidth},` +
+        `RESOLUTION=${stream.resolution},CODECS="jpeg",URI="${stream.uri}"`
       );
     }
 
     lines.push('');
 
-    // Add video stream with audio group reference
-    console.log(`Video: ${resolution} @ ${bandwidth} bps`);
-    lines.push(
-      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${resolution},` +
-      `CODECS="${codecs}",AUDIO="audio"`
-    );
-    lines.push(videoPlaylist);
+    return lines.join('\n');
+  }
+
+  /**
+   * Make rendition names unique by numbering repeats ("English", "English (2)")
+   */
+  uniqueNames(names) {
+    const used = new Set();
+    const seen = new Map();
+
+    return names.map(name => {
+      let count = seen.get(name) || 0;
+      let unique = name;
+      // A source track may already be called "English (2)"
+      while (used.has(unique)) {
+        count++;
+        unique = `${name} (${count + 1})`;
+      }
+      seen.set(name, count);
+      used.add(unique);
+      return unique;
+    });
+  }
+
+  /**
+   * Count segments currently listed in a media playlist (0 if missing)
+   */
+  countSegments(playlistPath) {
+    if (!fs.existsSync(playlistPath)) return 0;
+
+    const content = fs.readFileSync(playlistPath, 'utf8');
+    return (content.match(/^#EXTINF:/gm) || []).length;
+  }
+
+  /**
+   * Turn a finished EVENT playlist into a VOD playlist
+   */
+  finalizeEventPlaylist(playlistPath) {
+    let content = fs.readFileSync(playlistPath, 'utf8')
+      .replace('#EXT-X-PLAYLIST-TYPE:EVENT', '#EXT-X-PLAYLIST-TYPE:VOD');
+
+    if (!content.includes('#EXT-X-ENDLIST')) {
+      content = content.trimEnd() + '\n#EXT-X-ENDLIST\n';
+    }
+
+    fs.writeFileSync(`${playlistPath}.tmp`, content);
+    fs.renameSync(`${playlistPath}.tmp`, playlistPath);
+  }
+
+  /**
+   * Measure peak and average bitrate (bps) of a media playlist
+   * from its segment sizes and EXTINF durations
+   */
+  measureBandwidth(playlistPath) {
+    const dir = path.dirname(playlistPath);
+    const lines = fs.readFileSync(playlistPath, 'utf8').split('\n');
+
+    let peak = 0;
+    let totalBits = 0;
+    let totalDuration = 0;
+    let duration = null;
+
+    for (const raw of lines) {
+      const line = raw.trim();
+
+      if (line.startsWith('#EXTINF:')) {
+        duration = parseFloat(line.substring(8));
+        continue;
+      }
+
+      if (!line || line.startsWith('#') || duration === null) continue;
+
+      const segmentPath = path.join(dir, line);
+      if (fs.existsSync(segmentPath) && duration > 0) {
+        const bits = fs.statSync(segmentPath).size * 8;
+        peak = Math.max(peak, bits / duration);
+        totalBits += bits;
+        totalDuration += duration;
+      }
+      duration = null;
+    }
+
+    return {
+      peak: Math.round(peak),
+      average: totalDuration > 0 ? Math.round(totalBits / totalDuration) : 0
+    };
+  }
+
+  /**
+   * Generate an image media playlist for thumbnail sprite sheets
+   * (EXT-X-IMAGES-ONLY with EXT-X-TILES describing the grid)
+   */
+  generateImagePlaylist({ layout, sprites, duration }) {
+    const sheetDuration = layout.interval * layout.columns * layout.rows;
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:7',
+      `#EXT-X-TARGETDURATION:${Math.ceil(sheetDuration)}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      '#EXT-X-IMAGES-ONLY',
+      ''
+    ];
+
+    sprites.forEach((sprite, i) => {
+      const start = i * sheetDuration;
+      const length = duration ? Math.min(sheetDuration, duration - start) : sheetDuration;
+
+      lines.push(`#EXTINF:${Math.max(length, 0.001).toFixed(3)},`);
+      lines.push(
+        `#EXT-X-TILES:RESOLUTION=${layout.width}x${layout.height},` +
+        `LAYOUT=${layout.columns}x${layout.rows},DURATION=${layout.interval.toFixed(3)}`
+      );
+      lines.push(sprite);
+    });
+
+    lines.push('#EXT-X-ENDLIST');
     lines.push('');
 
     return lines.join('\n');
   }
 
+  /**
+   * Append a query parameter to every URI in a playlist
+   * (URI lines plus URI="..." attributes of EXT-X-MAP, EXT-X-MEDIA, EXT-X-KEY,
+   * EXT-X-IMAGE-STREAM-INF), so child requests carry the same playback token
+   */
+  appendQuery(content, query) {
+    const withQuery = uri => `${uri}${uri.includes('?') ? '&' : '?'}${query}`;
+
+    return content.split('\n').map(line => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+
+      if (trimmed.startsWith('#')) {
+        return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${withQuery(uri)}"`);
+      }
+
+      return withQuery(trimmed);
+    }).join('\n');
+  }
+
   /**
    * Generate variant playlist for a single stream
-   * (Not used - FFmpeg generates these automatically)
+   * (FFmpeg writes audio/video playlists itself; used for WebVTT subtitles)
    */
   generateVariant({ segments, initFile, targetDuration = 4, playlistType = 'VOD' }) {
     const lines = [
@@ -53,11 +257,15 @@ class PlaylistGenerator {
       '#EXT-X-VERSION:7',
       `#EXT-X-TARGETDURATION:${Math.ceil(targetDuration)}`,
       '#EXT-X-MEDIA-SEQUENCE:0',
-      `#EXT-X-PLAYLIST-TYPE:${playlistType}`,
-      `#EXT-X-MAP:URI="${initFile}"`,
-      ''
+      `#EXT-X-PLAYLIST-TYPE:${playlistType}`
     ];
 
+    if (initFile) {
+      lines.push(`#EXT-X-MAP:URI="${initFile}"`);
+    }
+
+    lines.push('');
+
     for (const segment of segments) {
       lines.push(`#EXTINF:${segment.duration.toFixed(6)},`);
       lines.push(segment.filename);
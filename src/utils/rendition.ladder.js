@@ -0,0 +1,128 @@
+/**
+ * Video rendition ladder definitions
+ *
+ * Bitrates are in kbps. Rungs are never produced above the source height,
+ * so a 720p source converted with the `standard` ladder yields 720p/480p/360p.
+ */
+const RUNGS = {
+  '2160p': { height: 2160, bitrate: 15000, level: '5.1' },
+  '1440p': { height: 1440, bitrate: 8000, level: '5.1' },
+  '1080p': { height: 1080, bitrate: 5000, level: '4.1' },
+  '720p': { height: 720, bitrate: 3000, level: '4.1' },
+  '480p': { height: 480, bitrate: 1500, level: '4.1' },
+  '360p': { height: 360, bitrate: 800, level: '4.1' }
+};
+
+const LADDERS = {
+  // Single rendition at source resolution (stream copy when possible)
+  source: [],
+  standard: ['1080p', '720p', '480p', '360p'],
+  mobile: ['720p', '480p', '360p'],
+  full: ['2160p', '1440p', '1080p', '720p', '480p', '360p']
+};
+
+class RenditionLadder {
+  constructor() {
+    this.defaultLadder = process.env.DEFAULT_LADDER || 'source';
+
+    // Fail at boot rather than on the first job
+    if (!Object.hasOwn(LADDERS, this.defaultLadder)) {
+      throw new Error(`Unknown DEFAULT_LADDER "${this.defaultLadder}" (expected ${Object.keys(LADDERS).join(', ')})`);
+    }
+  }
+
+  /**
+   * List available ladder presets and rungs
+   */
+  getPresets() {
+    return {
+      ladders: Object.keys(LADDERS),
+      rungs: Object.keys(RUNGS),
+      default: this.defaultLadder
+    };
+  }
+
+  /**
+   * Check that a ladder spec is a known preset name or a list of rung names
+   */
+  isValid(ladder) {
+    if (ladder === undefined || ladder === null) return true;
+    if (typeof ladder === 'string') return Object.hasOwn(LADDERS, ladder);
+    if (Array.isArray(ladder)) {
+      return ladder.length > 0 && ladder.every(name => Object.hasOwn(RUNGS, name));
+    }
+    return false;
+  }
+
+  /**
+   * Resolve a ladder spec against the probed source video
+   * Returns renditions ordered from highest to lowest quality
+   */
+  resolve(ladder, sourceVideo) {
+    const spec = ladder === undefined || ladder === null ? this.defaultLadder : ladder;
+    const rungNames = Array.isArray(spec) ? spec : (Object.hasOwn(LADDERS, spec) ? LADDERS[spec] : []);
+
+    const sourceWidth = sourceVideo?.width || 1920;
+    const sourceHeight = sourceVideo?.height || 1080;
+
+    const renditions = [...new Set(rungNames)]
+      .map(name => ({ name, ...RUNGS[name] }))
+      .filter(rung => rung.height <= sourceHeight)
+      .sort((a, b) => b.height - a.height)
+      .map(rung => this._buildRendition(rung, sourceWidth, sourceHeight));
+
+    // Source smaller than every requested rung (or `source` preset)
+    if (renditions.length === 0) {
+      return [this.sourceRendition(sourceVideo)];
+    }
+
+    return renditions;
+  }
+
+  /**
+   * Rendition that keeps the source resolution
+   */
+  sourceRendition(sourceVideo) {
+    const width = sourceVideo?.width || 1920;
+    const height = sourceVideo?.height || 1080;
+
+    // Target bitrate based on resolution
+    let bitrate = 1500;
+    if (width >= 3840) bitrate = 15000;
+    else if (width >= 2560) bitrate = 8000;
+    else if (width >= 1920) bitrate = 5000;
+    else if (width >= 1280) bitrate = 3000;
+
+    return {
+      name: 'source',
+      width,
+      height,
+      bitrate,
+      maxrate: Math.round(bitrate * 1.1),
+      bufsize: bitrate * 2,
+      level: height > 1080 ? '5.1' : '4.1',
+      scale: false
+    };
+  }
+
+  /**
+   * Build a scaled rendition keeping the source aspect ratio
+   */
+  _buildRendition(rung, sourceWidth, sourceHeight) {
+    // Dimensions must be even for yuv420p
+    const width = Math.round((sourceWidth * rung.height) / sourceHeight / 2) * 2;
+
+    return {
+      name: rung.name,
+      width,
+      height: rung.height,
+      bitrate: rung.bitrate,
+      maxrate: Math.round(rung.bitrate * 1.1),
+      bufsize: rung.bitrate * 2,
+      level: rung.level,
+      scale: rung.height !== sourceHeight || width !== sourceWidth
+    };
+  }
+}
+
+module.exports = new RenditionLadder();
@@ -0,0 +1,90 @@
+/**
+ * Thumbnail sprite sheet layout and WebVTT trick-play track
+ *
+ * FFmpeg grabs one frame every `interval` seconds and tiles them into
+ * `columns` x `rows` JPEG sheets. Each cue in thumbnails.vtt points at one
+ * tile using a media fragment: `thumbs_001.jpg#xywh=160,0,160,90`.
+ */
+const THUMBNAIL_WIDTH = 160;
+const COLUMNS = 10;
+const ROWS = 10;
+
+class ThumbnailSprites {
+  /**
+   * Tile size and sheet count for a source video
+   */
+  layout(sourceVideo, duration, interval) {
+    const sourceWidth = sourceVideo?.width || 16;
+    const sourceHeight = sourceVideo?.height || 9;
+    const height = Math.max(2, Math.round((THUMBNAIL_WIDTH * sourceHeight / sourceWidth) / 2) * 2);
+    const count = Math.max(1, Math.ceil((duration || 0) / interval));
+
+    return {
+      width: THUMBNAIL_WIDTH,
+      height,
+      columns: COLUMNS,
+      rows: ROWS,
+      interval,
+      count,
+      sheets: Math.ceil(count / (COLUMNS * ROWS))
+    };
+  }
+
+  /**
+   * FFmpeg filter that produces the sprite sheets
+   */
+  getFilter(layout) {
+    return `fps=1/${layout.interval},scale=${layout.width}:${layout.height},tile=${layout.columns}x${layout.rows}`;
+  }
+
+  /**
+   * Build thumbnails.vtt for the generated sheets (in order)
+   */
+  generateVtt(layout, sprites, duration) {
+    const perSheet = layout.columns * layout.rows;
+    const lines = ['WEBVTT', ''];
+
+    for (let i = 0; i < layout.count; i++) {
+      const sheet = Math.floor(i / perSheet);
+      if (sheet >= sprites.length) break;
+
+      const tile = i % perSheet;
+      const x = (tile % layout.columns) * layout.width;
+      const y = Math.floor(tile / layout.columns) * layout.height;
+      const start = i * layout.interval;
+      const end = duration ? Math.min(start + layout.interval, duration) : start + layout.interval;
+
+      lines.push(`${this.formatTimestamp(start)} --> ${this.formatTimestamp(end)}`);
+      lines.push(`${sprites[sheet]}#xywh=${x},${y},${layout.width},${layout.height}`);
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Append a query parameter to every sprite URL in a thumbnails.vtt
+   * (inserted before the #xywh fragment)
+   */
+  appendQuery(vtt, query) {
+    return vtt.replace(/^([^\s#][^\s#]*?)(#xywh=[\d,]+)$/gm, (_, url, fragment) =>
+      `${url}${url.includes('?') ? '&' : '?'}${query}${fragment}`
+    );
+  }
+
+  /**
+   * Format seconds as `hh:mm:ss.ttt`
+   */
+  formatTimestamp(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor((ms % 3600000) / 60000);
+    const s = Math.floor((ms % 60000) / 1000);
+    const t = ms % 1000;
+
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:` +
+      `${String(s).padStart(2, '0')}.${String(t).padStart(3, '0')}`;
+  }
+}
+
+module.exports = new ThumbnailSprites();
@@ -0,0 +1,225 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Policy for remote source URLs (SSRF protection)
+ *
+ * - scheme allowlist (ALLOWED_SCHEMES)
+ * - domain allow/deny lists (ALLOWED_DOMAINS / BLOCKED_DOMAINS); an entry
+ *   matches the domain itself and its subdomains
+ * - private, loopback, link-local and other special ranges are refused after
+ *   DNS resolution; `lookup` is passed to http(s).request so the address that
+ *   is actually connected to is checked on every request and redirect hop
+ * - redirect limit (MAX_REDIRECTS) and source size limit (MAX_SOURCE_SIZE)
+ *
+ * Violations are Errors with `policy = true` (and `retryable = false`).
+ */
+
+// Special-purpose ranges (RFC 6890 and friends) a source must never resolve to
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase().replace(/^\*\./, ''))
+    .filter(Boolean);
+}
+
+function policyError(message) {
+  const error = new Error(message);
+  error.policy = true;
+  error.retryable = false;
+  return error;
+}
+
+class UrlPolicy {
+  constructor() {
+    this.allowedSchemes = parseList(process.env.ALLOWED_SCHEMES || 'http,https')
+      .map(scheme => scheme.replace(/:$/, ''));
+    this.allowedDomains = parseList(process.env.ALLOWED_DOMAINS);
+    this.blockedDomains = parseList(process.env.BLOCKED_DOMAINS);
+    this.allowPrivate = process.env.ALLOW_PRIVATE_NETWORKS === 'true';
+    this.maxRedirects = parseInt(process.env.MAX_REDIRECTS || '5', 10);
+    this.maxSize = parseInt(process.env.MAX_SOURCE_SIZE || '0', 10);
+
+    const unsupported = this.allowedSchemes.filter(scheme => !['http', 'https'].includes(scheme));
+    if (unsupported.length > 0 || this.allowedSchemes.length === 0) {
+      throw new Error('ALLOWED_SCHEMES may only contain http and https');
+    }
+    if (!Number.isInteger(this.maxRedirects) || this.maxRedirects < 0) {
+      throw new Error('MAX_REDIRECTS must be a non-negative integer');
+    }
+    if (!Number.isInteger(this.maxSize) || this.maxSize < 0) {
+      throw new Error('MAX_SOURCE_SIZE must be a non-negative number of bytes (0 = unlimited)');
+    }
+
+    this.blockList = new net.BlockList();
+    for (const [address, prefix, type] of BLOCKED_RANGES) {
+      this.blockList.addSubnet(address, prefix, type);
+    }
+
+    this.lookup = this.lookup.bind(this);
+  }
+
+  /**
+   * Check scheme, domain lists and literal IP hosts (no DNS)
+   * `domainLists: false` skips ALLOWED/BLOCKED_DOMAINS, which describe
+   * sources (webhook callbacks still get the scheme and address checks)
+   * Returns the parsed URL
+   */
+  checkUrl(url, { domainLists = true } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw policyError('Invalid URL format');
+    }
+
+    const scheme = parsed.protocol.replace(/:$/, '');
+    if (!this.allowedSchemes.includes(scheme)) {
+      throw policyError(`URL scheme "${scheme}" is not allowed`);
+    }
+
+    if (parsed.username || parsed.password) {
+      throw policyError('URLs with credentials are not allowed');
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (domainLists && this.blockedDomains.some(domain => this._matchesDomain(host, domain))) {
+      throw policyError(`Host "${host}" is blocked`);
+    }
+    if (domainLists && this.allowedDomains.length > 0 && !this.allowedDomains.some(domain => this._matchesDomain(host, domain))) {
+      throw policyError(`Host "${host}" is not in the allowed domains`);
+    }
+
+    if (net.isIP(host) && this.isBlockedAddress(host)) {
+      throw policyError(`Address ${host} is not allowed`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Full check including DNS resolution (for rejecting requests up front)
+   */
+  async validate(url) {
+    const parsed = this.checkUrl(url);
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+
+    if (net.isIP(host) || this.allowPrivate) return parsed;
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      throw policyError(`Cannot resolve host "${host}": ${error.code || error.message}`);
+    }
+
+    this._checkAddresses(host, addresses);
+    return parsed;
+  }
+
+  /**
+   * Resolve the next hop of a redirect chain
+   * `redirects` is the number of redirects followed so far
+   */
+  redirect(fromUrl, location, redirects) {
+    if (redirects >= this.maxRedirects) {
+      throw policyError(`Too many redirects (limit ${this.maxRedirects})`);
+    }
+
+    const next = new URL(location, fromUrl).href;
+    this.checkUrl(next);
+    return next;
+  }
+
+  /**
+   * Refuse a source whose advertised or received size is over the limit
+   */
+  checkSize(bytes) {
+    if (this.maxSize && bytes > this.maxSize) {
+      throw policyError(`Source is larger than the ${this.maxSize} byte limit`);
+    }
+  }
+
+  /**
+   * dns.lookup replacement for http(s).request: resolves and then refuses
+   * connections to blocked addresses (checked at connect time, so DNS
+   * rebinding between validation and download does not help)
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      try {
+        if (!this.allowPrivate) this._checkAddresses(hostname, addresses);
+      } catch (policyFailure) {
+        return callback(policyFailure);
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * Whether an IP address is in a blocked range
+   */
+  isBlockedAddress(address) {
+    if (this.allowPrivate) return false;
+
+    // IPv4-mapped IPv6 (::ffff:a.b.c.d) is checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return this.blockList.check(mapped[1], 'ipv4');
+
+    const family = net.isIP(address);
+    if (!family) return true;
+
+    return this.blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  _checkAddresses(host, addresses) {
+    const blocked = addresses.find(entry => this.isBlockedAddress(entry.address));
+    if (blocked) {
+      throw policyError(`Host "${host}" resolves to a private or reserved address (${blocked.address})`);
+    }
+  }
+
+  _matchesDomain(host, domain) {
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+}
+
+module.exports = new UrlPolicy();
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC-signed playback tokens
+ *
+ * A token is `<payload>.<signature>` (both base64url). The payload carries the
+ * job id, an expiry (unix seconds) and optionally the client IP and referrer
+ * origin it is bound to. Tokens travel as `?token=` on every /hls request.
+ */
+class UrlSigner {
+  constructor() {
+    this.allowUnsigned = process.env.ALLOW_UNSIGNED_PLAYBACK === 'true';
+    this.defaultTtl = parseInt(process.env.PLAYBACK_TOKEN_TTL || '3600', 10);
+    this.maxTtl = parseInt(process.env.PLAYBACK_TOKEN_MAX_TTL || String(7 * 24 * 3600), 10);
+    this.secret = process.env.PLAYBACK_SECRET;
+
+    if (!Number.isInteger(this.maxTtl) || this.maxTtl < 1) {
+      throw new Error('PLAYBACK_TOKEN_MAX_TTL must be a positive number of seconds');
+    }
+    if (!Number.isInteger(this.defaultTtl) || this.defaultTtl < 1 || this.defaultTtl > this.maxTtl) {
+      throw new Error('PLAYBACK_TOKEN_TTL must be between 1 and PLAYBACK_TOKEN_MAX_TTL seconds');
+    }
+
+    if (!this.secret) {
+      // Tokens stop working after a restart; fine for development only
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('PLAYBACK_SECRET is not set - using a random secret for this process');
+    }
+  }
+
+  /**
+   * Create a token for a job
+   */
+  sign({ jobId, ttl = this.defaultTtl, ip = null, referrer = null }) {
+    const payload = {
+      j: jobId,
+      e: Math.floor(Date.now() / 1000) + ttl
+    };
+    if (ip) payload.ip = ip;
+    if (referrer) payload.r = referrer;
+
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encoded}.${this._hmac(encoded)}`;
+  }
+
+  /**
+   * Check a token against a request
+   * Returns { valid: true, payload } or { valid: false, error }
+   */
+  verify(token, { jobId, ip, referer }) {
+    if (!token || typeof token !== 'string') {
+      return { valid: false, error: 'Missing playback token' };
+    }
+
+    const [encoded, signature] = token.split('.');
+    if (!encoded || !signature) {
+      return { valid: false, error: 'Malformed playback token' };
+    }
+
+    const expected = Buffer.from(this._hmac(encoded));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, error: 'Invalid playback token' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch {
+      return { valid: false, error: 'Malformed playback token' };
+    }
+
+    if (payload.j !== jobId) {
+      return { valid: false, error: 'Token is for a different job' };
+    }
+    if (payload.e < Math.floor(Date.now() / 1000)) {
+      return { valid: false, error: 'Playback token expired' };
+    }
+    if (payload.ip && payload.ip !== ip) {
+      return { valid: false, error: 'Token is bound to another IP address' };
+    }
+    if (payload.r && this.originOf(referer) !== payload.r) {
+      return { valid: false, error: 'Token is bound to another referrer' };
+    }
+
+    return { valid: true, payload };
+  }
+
+  /**
+   * Origin (scheme://host[:port]) of a URL, or null
+   */
+  originOf(url) {
+    try {
+      return new URL(url).origin;
+    } catch {
+      return null;
+    }
+  }
+
+  _hmac(data) {
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+}
+
+module.exports = new UrlSigner();
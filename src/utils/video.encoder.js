@@ -0,0 +1,184 @@
+const { execSync } = require('child_process');
+
+/**
+ * H.264 encoder backends
+ *
+ * Each backend maps a rendition to the decoder (input), filter and encoder
+ * arguments FFmpeg needs. Hardware backends are only used when both the
+ * hwaccel and the matching encoder show up in `ffmpeg -hwaccels`/`-encoders`.
+ */
+const BACKENDS = {
+  nvidia: {
+    encoder: 'h264_nvenc',
+    hwaccels: ['cuda'],
+    // Frames are downloaded after decode so the software scaler still works
+    inputOptions: () => ['-hwaccel cuda'],
+    filters: (rendition) => rendition.scale ? [`scale=${rendition.width}:${rendition.height}`] : [],
+    encodeOptions: () => [
+      '-c:v h264_nvenc',
+      '-preset p2',
+      '-rc vbr',
+      '-profile:v high',
+      '-pix_fmt yuv420p'
+    ]
+  },
+  vaapi: {
+    encoder: 'h264_vaapi',
+    hwaccels: ['vaapi'],
+    inputOptions: (device) => [`-vaapi_device ${device}`],
+    // Software decode/scale, then upload NV12 frames to the GPU
+    filters: (rendition) => [
+      ...(rendition.scale ? [`scale=${rendition.width}:${rendition.height}`] : []),
+      'format=nv12',
+      'hwupload'
+    ],
+    encodeOptions: () => [
+      '-c:v h264_vaapi',
+      '-profile:v high'
+    ]
+  },
+  qsv: {
+    encoder: 'h264_qsv',
+    hwaccels: ['qsv'],
+    inputOptions: () => ['-hwaccel qsv'],
+    filters: (rendition) => [
+      ...(rendition.scale ? [`scale=${rendition.width}:${rendition.height}`] : []),
+      'format=nv12'
+    ],
+    encodeOptions: () => [
+      '-c:v h264_qsv',
+      '-preset veryfast',
+      '-profile:v high'
+    ]
+  },
+  libx264: {
+    encoder: 'libx264',
+    hwaccels: [],
+    inputOptions: () => [],
+    filters: (rendition) => rendition.scale ? [`scale=${rendition.width}:${rendition.height}`] : [],
+    encodeOptions: (threads, encoding) => [
+      '-c:v libx264',
+      `-preset ${encoding.videoPreset}`,
+      '-profile:v high',
+      '-pix_fmt yuv420p',
+      `-threads ${threads}`,
+      ...(encoding.videoPreset === 'ultrafast' ? [
+        '-tune fastdecode', // Optimize for fast playback
+        '-row-mt 1', // Enable row-based multithreading
+        '-fast-pskip 1',
+        '-me_method dia', // Fastest motion estimation
+        '-subq 0', // Fastest subpel quality
+        '-refs 1' // Minimum reference frames
+      ] : [])
+    ],
+    // Constant quality, capped by the rendition's VBV limits
+    rateControl: (encoding) => [`-crf ${encoding.videoCrf}`]
+  }
+};
+
+// Preference order when several hardware backends are available
+const HARDWARE_BACKENDS = ['nvidia', 'vaapi', 'qsv'];
+
+class VideoEncoder {
+  constructor() {
+    // auto | none | nvidia | vaapi | qsv
+    this.mode = process.env.HW_ENCODER || 'auto';
+    this.vaapiDevice = process.env.VAAPI_DEVICE || '/dev/dri/renderD128';
+    this.disabled = new Set();
+  }
+
+  /**
+   * Pick a backend from `ffmpeg -hwaccels` and `ffmpeg -encoders` output
+   * Returns a hardware backend name, or null for libx264
+   */
+  detect(hwaccelsOutput = '', encodersOutput = '') {
+    const hwaccels = hwaccelsOutput.split('\n').map(line => line.trim());
+    const candidates = this.mode === 'auto' ? HARDWARE_BACKENDS : [this.mode];
+
+    for (const name of candidates) {
+      const backend = BACKENDS[name];
+      if (!backend || name === 'libx264') continue;
+
+      const hasHwaccel = backend.hwaccels.some(accel => hwaccels.includes(accel));
+      const hasEncoder = new RegExp(`\\s${backend.encoder}\\s`).test(encodersOutput);
+
+      if (hasHwaccel && hasEncoder) {
+        return name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run FFmpeg and detect the available backend
+   */
+  probe() {
+    if (this.mode === 'none') return null;
+
+    try {
+      const hwaccels = execSync('ffmpeg -hide_banner -hwaccels 2>/dev/null', { encoding: 'utf8' });
+      const encoders = execSync('ffmpeg -hide_banner -encoders 2>/dev/null', { encoding: 'utf8' });
+      return this.detect(hwaccels, encoders);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Backend to use for a job, skipping ones that failed at startup
+   */
+  select(hwAccel) {
+    return hwAccel && BACKENDS[hwAccel] && !this.disabled.has(hwAccel) ? hwAccel : 'libx264';
+  }
+
+  /**
+   * Stop using a hardware backend for the rest of the process
+   */
+  disable(backend) {
+    if (backend !== 'libx264') {
+      this.disabled.add(backend);
+    }
+  }
+
+  /**
+   * Encoder name (e.g. h264_nvenc) for a backend
+   */
+  getEncoderName(backend) {
+    return BACKENDS[backend].encoder;
+  }
+
+  /**
+   * Decoder arguments that go before the input
+   */
+  getInputOptions(backend) {
+    return BACKENDS[backend].inputOptions(this.vaapiDevice);
+  }
+
+  /**
+   * Filter, encoder and rate control arguments for a rendition
+   * `encoding` is a resolved encoding profile (see encoding.profiles)
+   */
+  getOutputOptions(backend, rendition, threads, encoding) {
+    const { filters, encodeOptions, rateControl } = BACKENDS[backend];
+    const filterChain = filters(rendition);
+
+    return [
+      ...(filterChain.length > 0 ? [`-vf ${filterChain.join(',')}`] : []),
+      ...encodeOptions(threads, encoding),
+      `-level ${rendition.level}`,
+      ...(rateControl ? rateControl(encoding) : [`-b:v ${rendition.bitrate}k`]),
+      `-maxrate ${rendition.maxrate}k`,
+      `-bufsize ${rendition.bufsize}k`,
+      '-g 48', // GOP size
+      '-keyint_min 48',
+      '-sc_threshold 0',
+      // Keyframe at every segment boundary so renditions switch cleanly
+      `-force_key_frames expr:gte(t,n_forced*${encoding.segmentDuration})`,
+      '-bf 0', // Disable B-frames for faster encoding
+      '-movflags +faststart'
+    ];
+  }
+}
+
+module.exports = new VideoEncoder();
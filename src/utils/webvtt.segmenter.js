@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+const TIMESTAMP_MAP = 'X-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000';
+
+class WebVTTSegmenter {
+  /**
+   * Split a WebVTT file into fixed-duration segments
+   * Cues spanning a boundary are repeated in every segment they overlap,
+   * which players de-duplicate by start/end time.
+   */
+  segment({ vttPath, outputDir, baseName, segmentDuration, totalDuration }) {
+    const cues = this.parse(fs.readFileSync(vttPath, 'utf8'));
+
+    const lastCueEnd = cues.reduce((max, cue) => Math.max(max, cue.end), 0);
+    const duration = Math.max(totalDuration || 0, lastCueEnd);
+    const count = Math.max(1, Math.ceil(duration / segmentDuration));
+
+    const segments = [];
+
+    for (let i = 0; i < count; i++) {
+      const start = i * segmentDuration;
+      const end = Math.min(start + segmentDuration, duration);
+      const filename = `${baseName}_${String(i).padStart(3, '0')}.vtt`;
+
+      const body = cues
+        .filter(cue => cue.start < end && cue.end > start)
+        .map(cue => cue.text)
+        .join('\n\n');
+
+      const content = ['WEBVTT', TIMESTAMP_MAP, '', body, ''].join('\n');
+      fs.writeFileSync(path.join(outputDir, filename), content);
+
+      segments.push({ filename, duration: Math.max(end - start, 0.001) });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Parse cues out of a WebVTT document
+   * Each cue keeps its original text block (identifier, timing, payload)
+   */
+  parse(content) {
+    const blocks = content.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    const cues = [];
+
+    for (const block of blocks) {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) continue;
+
+      const [startStr, rest] = lines[timingIndex].split('-->');
+      const endStr = rest.trim().split(/\s+/)[0];
+
+      const start = this.parseTimestamp(startStr.trim());
+      const end = this.parseTimestamp(endStr);
+      if (start === null || end === null) continue;
+
+      cues.push({ start, end, text: block.trim() });
+    }
+
+    return cues;
+  }
+
+  /**
+   * Parse `hh:mm:ss.ttt` or `mm:ss.ttt` into seconds
+   */
+  parseTimestamp(value) {
+    const parts = value.split(':');
+    if (parts.length < 2 || parts.length > 3) return null;
+
+    const seconds = parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+    return Number.isFinite(seconds) ? seconds : null;
+  }
+}
+
+module.exports = new WebVTTSegmenter();
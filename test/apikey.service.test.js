@@ -0,0 +1,52 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-apikeys-'));
+process.env.API_KEYS_FILE = path.join(dataPath, 'apikeys.json');
+process.env.QUOTA_MAX_DISK_BYTES = '1000';
+
+const apiKeyService = require('../src/services/apikey.service');
+
+describe('apiKeyService', () => {
+  after(() => {
+    fs.rmSync(dataPath, { recursive: true, force: true });
+  });
+
+  it('rejects inherited object keys as quota names', () => {
+    for (const name of ['__proto__', 'constructor', 'toString']) {
+      assert.deepStrictEqual(apiKeyService.validateQuotas({ [name]: 1 }), [`unknown quota "${name}"`]);
+    }
+    assert.deepStrictEqual(apiKeyService.validateQuotas({ maxDiskBytes: 10 }), []);
+  });
+
+  it('takes disk usage from the job records', () => {
+    const { id } = apiKeyService.create({ name: 'usage' });
+    const key = apiKeyService.get(id);
+    const jobs = [
+      { id: 'done', owner: id, status: 'ready', diskBytes: 300, sourceFile: null },
+      { id: 'running', owner: id, status: 'converting', diskBytes: null, sourceFile: '/input/a.mkv', fileInfo: { size: 200 } },
+      { id: 'waiting', owner: id, status: 'queued' },
+      { id: 'other', owner: 'someone-else', status: 'ready', diskBytes: 5000 }
+    ];
+
+    assert.deepStrictEqual(apiKeyService.getUsage(key, jobs), {
+      concurrentJobs: 2,
+      bytesDownloaded: 0,
+      diskBytes: 500
+    });
+  });
+
+  it('counts recorded uploads and the incoming size against the quotas', () => {
+    const { id } = apiKeyService.create({ name: 'uploads', quotas: { maxBytesDownloaded: 1000 } });
+    apiKeyService.recordDownload(id, 600);
+    const key = apiKeyService.get(id);
+
+    assert.strictEqual(apiKeyService.checkQuota(key, [], { extraBytes: 400 }), null);
+    assert.deepStrictEqual(apiKeyService.checkQuota(key, [], { extraBytes: 401 }), {
+      quota: 'maxBytesDownloaded', limit: 1000, usage: 600
+    });
+  });
+});
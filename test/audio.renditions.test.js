@@ -0,0 +1,124 @@
+process.env.HW_ENCODER = 'none';
+process.env.SURROUND_CODEC = 'eac3';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ffmpegService = require('../src/services/ffmpeg.service');
+const playlistGenerator = require('../src/utils/playlist.generator');
+
+// Two Japanese tracks (5.1 main + stereo commentary) and two untagged ones
+const SOURCE_TRACKS = [
+  { index: 0, language: 'jpn', name: 'Japanese', channels: 6, role: null, default: true },
+  { index: 1, language: 'jpn', name: 'Japanese', channels: 2, role: 'commentary', default: false },
+  { index: 2, language: 'und', name: 'Audio 3', channels: 2, role: null, default: false },
+  { index: 3, language: 'und', name: 'Audio 4', channels: 2, role: 'description', default: false }
+];
+
+const VARIANT = { bandwidth: 3000000, resolution: '1280x720', codecs: 'avc1.64001f,mp4a.40.2', uri: 'video_720p.m3u8' };
+
+function mediaLines(master) {
+  return master.split('\n')
+    .filter(line => line.startsWith('#EXT-X-MEDIA:TYPE=AUDIO'))
+    .map(line => Object.fromEntries(
+      [...line.matchAll(/([A-Z-]+)=("[^"]*"|[^,]*)/g)].map(([, key, value]) => [key, value.replace(/^"|"$/g, '')])
+    ));
+}
+
+describe('audio file names', () => {
+  it('keeps tracks with the same language apart', () => {
+    const names = SOURCE_TRACKS.map(track => ffmpegService.getAudioFileNames(track).playlist);
+
+    assert.deepStrictEqual(names, [
+      'audio_0_jpn.m3u8',
+      'audio_1_jpn_commentary.m3u8',
+      'audio_2_und.m3u8',
+      'audio_3_und_description.m3u8'
+    ]);
+  });
+
+  it('uses separate files for the surround layout', () => {
+    const stereo = ffmpegService.getAudioFileNames(SOURCE_TRACKS[0]);
+    const surround = ffmpegService.getAudioFileNames(SOURCE_TRACKS[0], 'surround');
+
+    assert.strictEqual(surround.playlist, 'audio_0_jpn_surround.m3u8');
+    assert.notStrictEqual(stereo.segments, surround.segments);
+    assert.notStrictEqual(stereo.init, surround.init);
+  });
+
+  it('does not let the language escape the output folder', () => {
+    const names = ffmpegService.getAudioFileNames({ index: 0, language: '../x' });
+    assert.strictEqual(names.playlist, 'audio_0____x.m3u8');
+  });
+});
+
+describe('audio renditions', () => {
+  const renditions = ffmpegService.getAudioRenditions(SOURCE_TRACKS);
+
+  it('never writes two renditions to the same files', () => {
+    const encoded = renditions.filter(rendition => rendition.encode);
+    const playlists = encoded.map(rendition => rendition.files.playlist);
+
+    assert.strictEqual(new Set(playlists).size, playlists.length);
+    assert.strictEqual(encoded.length, SOURCE_TRACKS.length + 1);
+  });
+
+  it('offers every track in the surround group', () => {
+    const surround = renditions.filter(rendition => rendition.groupId === 'audio-surround');
+
+    assert.deepStrictEqual(surround.map(rendition => rendition.index), [0, 1, 2, 3]);
+    assert.deepStrictEqual(surround.map(rendition => rendition.channels), [6, 2, 2, 2]);
+    assert.strictEqual(surround[1].uri, 'audio_1_jpn_commentary.m3u8');
+  });
+});
+
+describe('master playlist audio entries', () => {
+  const master = playlistGenerator.generateMaster({
+    variants: [VARIANT],
+    audioTracks: ffmpegService.getAudioRenditions(SOURCE_TRACKS)
+  });
+  const stereo = mediaLines(master).filter(media => media['GROUP-ID'] === 'audio');
+
+  it('lists one entry per track with unique names and URIs', () => {
+    assert.strictEqual(stereo.length, 4);
+    assert.deepStrictEqual(stereo.map(media => media.NAME), ['Japanese', 'Japanese (2)', 'Audio 3', 'Audio 4']);
+    assert.strictEqual(new Set(stereo.map(media => media.URI)).size, 4);
+    assert.deepStrictEqual(stereo.map(media => media.LANGUAGE), ['jpn', 'jpn', 'und', 'und']);
+  });
+
+  it('marks commentary and description tracks', () => {
+    assert.strictEqual(stereo[0].CHARACTERISTICS, undefined);
+    assert.strictEqual(stereo[1].CHARACTERISTICS, 'public.auxiliary-content');
+    assert.strictEqual(stereo[3].CHARACTERISTICS, 'public.accessibility.describes-video');
+    assert.deepStrictEqual(stereo.map(media => media.AUTOSELECT), ['YES', 'NO', 'YES', 'NO']);
+    assert.deepStrictEqual(stereo.map(media => media.DEFAULT), ['YES', 'NO', 'NO', 'NO']);
+  });
+
+  it('reports the channel count of each rendition', () => {
+    const surround = mediaLines(master).filter(media => media['GROUP-ID'] === 'audio-surround');
+
+    assert.deepStrictEqual(stereo.map(media => media.CHANNELS), ['2', '2', '2', '2']);
+    assert.deepStrictEqual(surround.map(media => media.CHANNELS), ['6', '2', '2', '2']);
+  });
+});
+
+describe('SURROUND_CODEC', () => {
+  const withCodec = (codec) => {
+    process.env.SURROUND_CODEC = codec;
+    try {
+      return new ffmpegService.constructor();
+    } finally {
+      process.env.SURROUND_CODEC = 'eac3';
+    }
+  };
+
+  it('accepts the documented codecs', () => {
+    assert.strictEqual(withCodec('none').surroundCodec, null);
+    assert.ok(withCodec('ac3').surroundCodec);
+  });
+
+  it('rejects inherited object keys', () => {
+    for (const codec of ['constructor', '__proto__', 'toString']) {
+      assert.throws(() => withCodec(codec), /Unknown SURROUND_CODEC/, codec);
+    }
+  });
+});
@@ -0,0 +1,223 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn, execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'output');
+
+const hasFfmpeg = ['ffmpeg', 'ffprobe'].every(tool => {
+  try {
+    execFileSync(tool, ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+async function freePort() {
+  const server = http.createServer();
+  const port = await listen(server);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Two-second clip with two audio streams (eng main, eng commentary)
+ */
+function generateSample(file) {
+  execFileSync('ffmpeg', [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-f', 'lavfi', '-i', 'testsrc=size=320x240:rate=24:duration=2',
+    '-f', 'lavfi', '-i', 'sine=frequency=440:duration=2',
+    '-f', 'lavfi', '-i', 'sine=frequency=880:duration=2',
+    '-map', '0:v', '-map', '1:a', '-map', '2:a',
+    '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-ac', '2',
+    '-metadata:s:a:0', 'language=eng',
+    '-metadata:s:a:1', 'language=eng', '-metadata:s:a:1', 'title=Commentary',
+    '-movflags', '+faststart',
+    file
+  ]);
+}
+
+describe('POST /api/convert', () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-convert-'));
+  const samplePath = path.join(workDir, 'sample.mp4');
+  const jobIds = [];
+  let server;
+  let source;
+  let baseUrl;
+  let sourceUrl;
+
+  const api = async (method, route, body) => {
+    const res = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await res.json();
+    if (json.jobId) jobIds.push(json.jobId);
+    return { status: res.status, body: json };
+  };
+
+  const waitForStatus = async (jobId, statuses, timeout) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const { body } = await api('GET', `/api/stream/status/${jobId}`);
+      if (statuses.includes(body.status)) return body;
+      await sleep(200);
+    }
+    throw new Error(`Job ${jobId} did not reach ${statuses.join('/')} within ${timeout}ms`);
+  };
+
+  before(async () => {
+    if (hasFfmpeg) generateSample(samplePath);
+
+    // /sample.mp4 serves the clip, /stall never answers (keeps a job downloading)
+    source = http.createServer((req, res) => {
+      if (req.url !== '/sample.mp4') return;
+      const body = fs.readFileSync(samplePath);
+      res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': body.length });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+    sourceUrl = `http://127.0.0.1:${await listen(source)}`;
+
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [path.join(ROOT, 'src/server.js')], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        NODE_ENV: 'test',
+        API_AUTH: 'false',
+        ALLOW_PRIVATE_NETWORKS: 'true',
+        DATA_PATH: path.join(workDir, 'data'),
+        INPUT_PATH: path.join(workDir, 'input'),
+        JOB_STORE: 'memory',
+        HW_ENCODER: 'none',
+        THUMBNAILS: 'false',
+        PREVIEWS: 'false',
+        WATCH_FOLDER: 'false'
+      },
+      stdio: 'ignore'
+    });
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+      try {
+        await fetch(`${baseUrl}/health`);
+        return;
+      } catch {
+        await sleep(100);
+      }
+    }
+    throw new Error('Server did not start');
+  });
+
+  after(async () => {
+    server?.kill();
+    source?.closeAllConnections();
+    source?.close();
+    for (const jobId of jobIds) {
+      fs.rmSync(path.join(OUTPUT_DIR, jobId), { recursive: true, force: true });
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('requires a valid inputUrl', async () => {
+    assert.strictEqual((await api('POST', '/api/convert', {})).status, 400);
+    assert.strictEqual((await api('POST', '/api/convert', { inputUrl: 'not a url' })).status, 400);
+  });
+
+  it('rejects URLs outside the policy', async () => {
+    const { status } = await api('POST', '/api/convert', { inputUrl: 'file:///etc/passwd' });
+    assert.strictEqual(status, 403);
+  });
+
+  it('validates the audio track selection', async () => {
+    const inputUrl = `${sourceUrl}/sample.mp4`;
+    const invalid = [
+      [],
+      [{ name: 'No index' }],
+      [{ index: 0 }, { index: 0 }],
+      [{ index: 0, default: true }, { index: 1, default: true }],
+      [{ index: 0, language: 'english!' }],
+      [{ index: 0, name: ' ' }]
+    ];
+
+    for (const audioTracks of invalid) {
+      const { status, body } = await api('POST', '/api/convert', { inputUrl, audioTracks });
+      assert.strictEqual(status, 400, JSON.stringify(audioTracks));
+      assert.ok(body.error);
+    }
+  });
+
+  it('rejects an empty outputName', async () => {
+    const { status } = await api('POST', '/api/convert', { inputUrl: `${sourceUrl}/sample.mp4`, outputName: '' });
+    assert.strictEqual(status, 400);
+  });
+
+  it('creates a regular job with the shared status and cancel endpoints', async () => {
+    const { status, body } = await api('POST', '/api/convert', {
+      inputUrl: `${sourceUrl}/stall`,
+      audioTracks: [{ index: 0, name: 'Main' }]
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.statusUrl, `/api/stream/status/${body.jobId}`);
+
+    const job = (await api('GET', body.statusUrl)).body;
+    assert.strictEqual(job.id, body.jobId);
+    assert.deepStrictEqual(job.options.audioTracks, [{ index: 0, name: 'Main' }]);
+    assert.deepStrictEqual((await api('GET', `/api/convert/${body.jobId}`)).body.id, body.jobId);
+
+    const listed = (await api('GET', '/api/stream/jobs')).body;
+    assert.ok(JSON.stringify(listed).includes(body.jobId));
+
+    assert.strictEqual((await api('POST', body.cancelUrl)).status, 200);
+    await waitForStatus(body.jobId, ['cancelled'], 5000);
+  });
+
+  it('converts a sample with the selected audio tracks', { skip: !hasFfmpeg && 'ffmpeg is not installed' }, async () => {
+    const { status, body } = await api('POST', '/api/convert', {
+      inputUrl: `${sourceUrl}/sample.mp4`,
+      ladder: 'source',
+      audioTracks: [
+        { index: 1, name: 'Director commentary', default: true },
+        { index: 0, name: 'English', language: 'en' }
+      ]
+    });
+    assert.strictEqual(status, 200);
+
+    const job = await waitForStatus(body.jobId, ['ready', 'error'], 120000);
+    assert.strictEqual(job.status, 'ready', job.message);
+
+    const master = fs.readFileSync(path.join(OUTPUT_DIR, body.jobId, 'master.m3u8'), 'utf8');
+    const audio = master.split('\n').filter(line => line.startsWith('#EXT-X-MEDIA:TYPE=AUDIO'));
+    assert.strictEqual(audio.length, 2);
+    assert.match(audio[0], /NAME="Director commentary"/);
+    assert.match(audio[0], /DEFAULT=YES/);
+    assert.match(audio[1], /NAME="English",LANGUAGE="en",DEFAULT=NO/);
+  });
+
+  it('fails the job when a selected track does not exist', { skip: !hasFfmpeg && 'ffmpeg is not installed' }, async () => {
+    const { body } = await api('POST', '/api/convert', {
+      inputUrl: `${sourceUrl}/sample.mp4`,
+      audioTracks: [{ index: 5 }],
+      force: true
+    });
+
+    const job = await waitForStatus(body.jobId, ['ready', 'error'], 60000);
+    assert.strictEqual(job.status, 'error');
+    assert.match(job.message, /Audio track 5 does not exist/);
+  });
+});
@@ -0,0 +1,76 @@
+process.env.ALLOW_PRIVATE_NETWORKS = 'true';
+process.env.MAX_SOURCE_SIZE = String(64 * 1024);
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const downloadService = require('../src/services/download.service');
+
+const BODY = crypto.randomBytes(64 * 1024);
+
+describe('downloadService.download', () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-download-'));
+  const requests = [];
+  let server;
+  let url;
+
+  before(async () => {
+    // The first GET breaks off halfway; ranged GETs are answered in full
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, range: req.headers.range || null });
+
+      const range = req.headers.range?.match(/^bytes=(\d+)-/);
+      if (range) {
+        const start = parseInt(range[1], 10);
+        res.writeHead(206, {
+          'Content-Length': BODY.length - start,
+          'Content-Range': `bytes ${start}-${BODY.length - 1}/${BODY.length}`
+        });
+        res.end(BODY.subarray(start));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Length': BODY.length, 'Accept-Ranges': 'bytes' });
+      if (req.method === 'HEAD') {
+        res.end();
+      } else if (requests.filter(r => r.method === 'GET').length === 1) {
+        res.write(BODY.subarray(0, BODY.length / 2), () => setTimeout(() => res.destroy(), 50));
+      } else {
+        res.end(BODY);
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/video.mp4`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('resumes a broken connection without counting bytes twice', { timeout: 10000 }, async () => {
+    const info = await downloadService.analyze(url);
+    const outputPath = path.join(workDir, 'input.mp4');
+    const progress = [];
+
+    requests.length = 0;
+    const result = await downloadService.download(url, outputPath, p => progress.push(p), {
+      signal: new AbortController().signal,
+      info
+    });
+
+    assert.strictEqual(result.size, BODY.length);
+    assert.ok(fs.readFileSync(outputPath).equals(BODY));
+    assert.deepStrictEqual(requests, [
+      { method: 'GET', range: null },
+      { method: 'GET', range: `bytes=${BODY.length / 2}-${BODY.length - 1}` }
+    ]);
+    for (const p of progress) {
+      assert.ok(p.downloaded <= p.total && p.percent <= 100, JSON.stringify(p));
+    }
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const encodingProfiles = require('../src/utils/encoding.profiles');
+
+function withEnv(env, create) {
+  const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  try {
+    return create();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+describe('encodingProfiles', () => {
+  it('resolves a profile with overrides', () => {
+    const settings = encodingProfiles.resolve('archival', { videoCrf: 20 });
+    assert.strictEqual(settings.profile, 'archival');
+    assert.strictEqual(settings.videoPreset, 'slow');
+    assert.strictEqual(settings.videoCrf, 20);
+  });
+
+  it('rejects invalid overrides', () => {
+    assert.throws(() => encodingProfiles.resolve('fast', { videoPreset: 'warp' }), /videoPreset/);
+    assert.throws(() => encodingProfiles.resolve('fast', { bogus: 1 }), /unknown setting/);
+  });
+
+  it('rejects inherited object keys as profile names', () => {
+    for (const name of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+      assert.throws(() => encodingProfiles.resolve(name), /Unknown encoding profile/, name);
+    }
+  });
+
+  it('checks ENCODING_PROFILE at boot', () => {
+    assert.throws(
+      () => withEnv({ ENCODING_PROFILE: 'toString' }, () => new encodingProfiles.constructor()),
+      /unknown ENCODING_PROFILE "toString"/
+    );
+    const instance = withEnv({ ENCODING_PROFILE: 'fast' }, () => new encodingProfiles.constructor());
+    assert.strictEqual(instance.resolve().profile, 'fast');
+  });
+});
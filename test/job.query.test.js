@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseJobQuery, queryJobs } = require('../src/utils/job.query');
+
+const JOBS = [
+  { id: 'a', status: 'ready', url: 'https://cdn.example.com/a.mp4', priority: 1, createdAt: '2026-01-01T00:00:00Z', updatedAt: '2026-01-02T00:00:00Z' },
+  { id: 'b', status: 'error', url: 'https://example.org/b.mkv', priority: 5, createdAt: '2026-01-03T00:00:00Z', updatedAt: '2026-01-03T00:00:00Z' },
+  { id: 'c', status: 'ready', url: 'https://example.com/c.mp4', priority: 0, createdAt: '2026-01-02T00:00:00Z', updatedAt: '2026-01-04T00:00:00Z' }
+];
+
+describe('parseJobQuery', () => {
+  it('accepts the documented sort fields', () => {
+    for (const sort of ['createdAt', '-updatedAt', 'priority', '-status', 'fileName']) {
+      assert.ok(parseJobQuery({ sort }).query, sort);
+    }
+  });
+
+  it('rejects inherited object keys as sort fields', () => {
+    for (const sort of ['__proto__', 'constructor', '-toString', 'hasOwnProperty']) {
+      assert.match(parseJobQuery({ sort }).error, /sort must be one of/, sort);
+    }
+  });
+
+  it('validates limit, dates and cursors', () => {
+    assert.ok(parseJobQuery({ limit: '0' }).error);
+    assert.ok(parseJobQuery({ limit: '101' }).error);
+    assert.ok(parseJobQuery({ from: 'yesterday' }).error);
+    assert.ok(parseJobQuery({ cursor: 'garbage' }).error);
+  });
+});
+
+describe('queryJobs', () => {
+  const run = params => queryJobs(JOBS, parseJobQuery(params).query);
+
+  it('sorts newest first by default', () => {
+    assert.deepStrictEqual(run({}).jobs.map(job => job.id), ['b', 'c', 'a']);
+  });
+
+  it('filters by status and host, counting statuses over the other filters', () => {
+    const result = run({ status: 'ready', host: 'example.com' });
+    assert.deepStrictEqual(result.jobs.map(job => job.id), ['c', 'a']);
+    assert.deepStrictEqual(result.counts, { ready: 2 });
+  });
+
+  it('pages with a cursor', () => {
+    const first = run({ sort: '-priority', limit: '2' });
+    assert.deepStrictEqual(first.jobs.map(job => job.id), ['b', 'a']);
+
+    const second = run({ sort: '-priority', limit: '2', cursor: first.nextCursor });
+    assert.deepStrictEqual(second.jobs.map(job => job.id), ['c']);
+    assert.strictEqual(second.nextCursor, null);
+  });
+});
@@ -0,0 +1,91 @@
+process.env.PLAYBACK_SECRET = 'playback-secret-for-tests';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const urlSigner = require('../src/utils/url.signer');
+const { playbackAccess, signedPlaylists, jobIdFromPath } = require('../src/middleware/playback.access');
+
+const JOB_A = 'job-a';
+const JOB_B = 'job-b';
+
+/**
+ * GET with the path sent as is (fetch would resolve `..` client-side)
+ */
+function get(port, requestPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: requestPath }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('playback access', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-playback-'));
+  const token = encodeURIComponent(urlSigner.sign({ jobId: JOB_A }));
+  let server;
+  let port;
+
+  before(async () => {
+    for (const jobId of [JOB_A, JOB_B]) {
+      fs.mkdirSync(path.join(outputDir, jobId));
+      fs.writeFileSync(path.join(outputDir, jobId, 'master.m3u8'), `#EXTM3U\n${jobId}.m3u8\n`);
+      fs.writeFileSync(path.join(outputDir, jobId, 'seg0.ts'), jobId);
+    }
+
+    // Mounted like /hls in server.js
+    const app = express();
+    app.use('/hls', playbackAccess(jobIdFromPath), signedPlaylists(outputDir), express.static(outputDir, { dotfiles: 'ignore' }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('serves the job the token was issued for', async () => {
+    const playlist = await get(port, `/hls/${JOB_A}/master.m3u8?token=${token}`);
+    assert.strictEqual(playlist.status, 200);
+    assert.ok(playlist.body.includes(`${JOB_A}.m3u8?token=`));
+
+    const segment = await get(port, `/hls/${JOB_A}/seg0.ts?token=${token}`);
+    assert.strictEqual(segment.status, 200);
+    assert.strictEqual(segment.body, JOB_A);
+  });
+
+  it('refuses the token for another job', async () => {
+    assert.strictEqual((await get(port, `/hls/${JOB_B}/master.m3u8?token=${token}`)).status, 403);
+    assert.strictEqual((await get(port, `/hls/${JOB_B}/master.m3u8`)).status, 401);
+  });
+
+  it('does not let dot segments reach another job', async () => {
+    const paths = [
+      `/hls/${JOB_A}/../${JOB_B}/master.m3u8`,
+      `/hls/${JOB_A}/../${JOB_B}/seg0.ts`,
+      `/hls/${JOB_A}/%2e%2e/${JOB_B}/master.m3u8`,
+      `/hls/${JOB_A}/%2E%2E/${JOB_B}/seg0.ts`,
+      `/hls/${JOB_A}/x%2F..%2F..%2F${JOB_B}/seg0.ts`,
+      `/hls/${JOB_A}/./seg0.ts`
+    ];
+
+    for (const requestPath of paths) {
+      const res = await get(port, `${requestPath}?token=${token}`);
+      assert.strictEqual(res.status, 404, requestPath);
+      assert.ok(!res.body.includes(JOB_B), requestPath);
+    }
+  });
+
+  it('answers malformed escapes with 400', async () => {
+    const res = await get(port, `/hls/${JOB_A}/%E0.m3u8?token=${token}`);
+    assert.strictEqual(res.status, 400);
+  });
+});
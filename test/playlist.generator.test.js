@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const playlistGenerator = require('../src/utils/playlist.generator');
+
+const VARIANT = { bandwidth: 800000, resolution: '640x360', codecs: 'avc1.64001e,mp4a.40.2', uri: 'video_360p.m3u8' };
+const AUDIO = { name: 'English', language: 'en', uri: 'audio_0_en.m3u8', default: true };
+
+function media(master, type) {
+  return master.split('\n').filter(line => line.startsWith(`#EXT-X-MEDIA:TYPE=${type}`));
+}
+
+describe('playlistGenerator.generateMaster', () => {
+  it('gives subtitle tracks with the same name unique names', () => {
+    const master = playlistGenerator.generateMaster({
+      variants: [VARIANT],
+      audioTracks: [AUDIO],
+      subtitleTracks: [
+        { name: 'English', language: 'en', uri: 'subs_0_en.m3u8' },
+        { name: 'English', language: 'en', uri: 'subs_1_en.m3u8', forced: true }
+      ]
+    });
+    const subtitles = media(master, 'SUBTITLES');
+
+    assert.match(subtitles[0], /NAME="English",/);
+    assert.match(subtitles[1], /NAME="English \(2\)",.*FORCED=YES/);
+    assert.match(master, /#EXT-X-STREAM-INF:.*SUBTITLES="subs"/);
+  });
+
+  it('keeps quotes and line breaks out of quoted attributes', () => {
+    const master = playlistGenerator.generateMaster({
+      variants: [VARIANT],
+      audioTracks: [{ ...AUDIO, name: 'The "Director\'s"\r\ncut' }],
+      subtitleTracks: [{ name: 'Signs "only"\nEnglish', language: 'en\n', uri: 'subs_0_en.m3u8' }]
+    });
+    const [audio] = media(master, 'AUDIO');
+    const [subtitles] = media(master, 'SUBTITLES');
+
+    assert.match(audio, /NAME="The 'Director's' cut",LANGUAGE="en",/);
+    assert.match(subtitles, /NAME="Signs 'only' English",LANGUAGE="en ",/);
+    assert.strictEqual(master.split('\n').filter(line => line.startsWith('#EXT-X-MEDIA')).length, 2);
+  });
+
+  it('numbers names that clash with an existing numbered name', () => {
+    assert.deepStrictEqual(
+      playlistGenerator.uniqueNames(['English', 'English (2)', 'English']),
+      ['English', 'English (2)', 'English (3)']
+    );
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const renditionLadder = require('../src/utils/rendition.ladder');
+
+function withLadder(value, create) {
+  const saved = process.env.DEFAULT_LADDER;
+  process.env.DEFAULT_LADDER = value;
+  try {
+    return create();
+  } finally {
+    if (saved === undefined) delete process.env.DEFAULT_LADDER;
+    else process.env.DEFAULT_LADDER = saved;
+  }
+}
+
+describe('renditionLadder', () => {
+  it('accepts presets and lists of rungs', () => {
+    assert.ok(renditionLadder.isValid('standard'));
+    assert.ok(renditionLadder.isValid(['720p', '360p']));
+    assert.ok(renditionLadder.isValid(undefined));
+    assert.ok(!renditionLadder.isValid([]));
+    assert.ok(!renditionLadder.isValid('4k'));
+  });
+
+  it('rejects inherited object keys', () => {
+    for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      assert.ok(!renditionLadder.isValid(name), name);
+      assert.ok(!renditionLadder.isValid([name]), name);
+    }
+  });
+
+  it('never scales above the source', () => {
+    const renditions = renditionLadder.resolve('standard', { width: 1280, height: 720 });
+    assert.deepStrictEqual(renditions.map(r => r.name), ['720p', '480p', '360p']);
+    assert.strictEqual(renditions[0].scale, false);
+    assert.strictEqual(renditions[1].width, 854);
+  });
+
+  it('checks DEFAULT_LADDER at boot', () => {
+    assert.throws(() => withLadder('constructor', () => new renditionLadder.constructor()), /Unknown DEFAULT_LADDER/);
+    assert.throws(() => withLadder('huge', () => new renditionLadder.constructor()), /Unknown DEFAULT_LADDER/);
+    assert.strictEqual(withLadder('mobile', () => new renditionLadder.constructor()).defaultLadder, 'mobile');
+  });
+});
@@ -0,0 +1,104 @@
+process.env.HW_ENCODER = 'none';
+process.env.ALLOW_PRIVATE_NETWORKS = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const ffmpegService = require('../src/services/ffmpeg.service');
+const sourceRelay = require('../src/services/source.relay');
+
+const hasFfprobe = (() => {
+  try {
+    execFileSync('ffprobe', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const option = (options, name) => options.find(o => o.startsWith(`${name} `))?.split(' ')[1];
+
+describe('source input options', () => {
+  it('only lets local sources read local files', () => {
+    const options = ffmpegService.getSourceInputOptions('/data/output/job/input.mkv');
+    assert.strictEqual(option(options, '-protocol_whitelist'), 'file');
+    assert.ok(!options.some(o => o.startsWith('-reconnect')));
+  });
+
+  it('only lets relay sources speak HTTP', () => {
+    const options = ffmpegService.getSourceInputOptions('http://127.0.0.1:4000/token');
+    assert.strictEqual(option(options, '-protocol_whitelist'), 'http,tcp');
+    assert.ok(options.includes('-reconnect 1'));
+  });
+
+  it('never allows demuxers that open nested URLs', () => {
+    for (const input of ['/data/input.m3u8', 'http://127.0.0.1:4000/token']) {
+      const formats = option(ffmpegService.getSourceInputOptions(input), '-format_whitelist').split(',');
+      for (const format of ['hls', 'dash', 'concat', 'ffmetadata', 'image2', 'tee']) {
+        assert.ok(!formats.includes(format), `${format} allowed for ${input}`);
+      }
+      assert.ok(formats.includes('mov') && formats.includes('matroska'));
+    }
+  });
+});
+
+describe('playlist sources', { skip: !hasFfprobe && 'ffprobe is not installed' }, () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-sources-'));
+  const hits = [];
+  let internal;
+  let origin;
+  let playlist;
+
+  before(async () => {
+    // Stands in for an internal service (metadata endpoint, admin API)
+    internal = http.createServer((req, res) => {
+      hits.push(req.url);
+      res.end('secret');
+    });
+    await new Promise(resolve => internal.listen(0, '127.0.0.1', resolve));
+
+    playlist = [
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:10',
+      '#EXTINF:10,',
+      `http://127.0.0.1:${internal.address().port}/latest/meta-data/segment.ts`,
+      '#EXT-X-ENDLIST',
+      ''
+    ].join('\n');
+
+    origin = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/vnd.apple.mpegurl', 'Content-Length': Buffer.byteLength(playlist) });
+      res.end(req.method === 'HEAD' ? undefined : playlist);
+    });
+    await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(() => {
+    internal.close();
+    origin.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('does not follow URLs in a downloaded playlist', async () => {
+    // Downloads keep the extension of the source name
+    const inputPath = path.join(workDir, 'input.m3u8');
+    fs.writeFileSync(inputPath, playlist);
+
+    await assert.rejects(ffmpegService.probeFile(inputPath));
+    assert.deepStrictEqual(hits, []);
+  });
+
+  it('does not follow URLs in a playlist read through the relay', async () => {
+    const source = await sourceRelay.register(`http://127.0.0.1:${origin.address().port}/video.m3u8`);
+    try {
+      await assert.rejects(ffmpegService.probeFile(source));
+    } finally {
+      sourceRelay.release(source);
+    }
+    assert.deepStrictEqual(hits, []);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-subtitles-'));
+Object.assign(process.env, { DATA_PATH: dataPath, JOB_STORE: 'memory', HW_ENCODER: 'none' });
+
+const jobManager = require('../src/services/job.manager');
+const pipelineService = require('../src/services/pipeline.service');
+
+// As probed: two text tracks flagged default, one image-based
+const PROBED = [
+  { index: 0, codec: 'subrip', language: 'eng', title: 'English', default: true, forced: false },
+  { index: 1, codec: 'hdmv_pgs_subtitle', language: 'eng', title: 'English (PGS)', default: true, forced: false },
+  { index: 2, codec: 'ass', language: 'fre', title: null, default: true, forced: true },
+  { index: 3, codec: 'webvtt', language: null, title: null, default: false, forced: false }
+];
+
+describe('pipelineService.selectSubtitleTracks', () => {
+  after(() => {
+    jobManager.stopCleanup();
+    fs.rmSync(dataPath, { recursive: true, force: true });
+  });
+
+  it('keeps the text tracks', () => {
+    const tracks = pipelineService.selectSubtitleTracks(PROBED);
+    assert.deepStrictEqual(tracks.map(t => t.index), [0, 2, 3]);
+    assert.deepStrictEqual(tracks.map(t => t.name), ['English', 'Subtitle 3', 'Subtitle 4']);
+    assert.strictEqual(tracks[2].language, 'und');
+  });
+
+  it('keeps at most one default track', () => {
+    assert.deepStrictEqual(pipelineService.selectSubtitleTracks(PROBED).map(t => t.default), [true, false, false]);
+    assert.deepStrictEqual(pipelineService.selectSubtitleTracks(PROBED.slice(1)).map(t => t.default), [true, false]);
+    assert.deepStrictEqual(pipelineService.selectSubtitleTracks(PROBED.slice(3)).map(t => t.default), [false]);
+  });
+});
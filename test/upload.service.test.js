@@ -0,0 +1,55 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+
+const inputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-uploads-'));
+process.env.INPUT_PATH = inputPath;
+
+const uploadService = require('../src/services/upload.service');
+
+/**
+ * Request-like stream that was received in full
+ */
+function chunk(data) {
+  return Object.assign(Readable.from([data]), { complete: true });
+}
+
+describe('uploadService', () => {
+  after(() => {
+    fs.rmSync(inputPath, { recursive: true, force: true });
+  });
+
+  it('completes an upload and verifies its checksum', async () => {
+    const data = crypto.randomBytes(1024);
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const { id } = uploadService.create({ fileName: 'clip.mp4', size: data.length, sha256 });
+
+    await uploadService.appendChunk(id, 0, chunk(data));
+    const upload = await uploadService.complete(id);
+
+    assert.strictEqual(upload.status, 'complete');
+    assert.strictEqual(upload.sha256, sha256);
+    assert.ok(fs.readFileSync(upload.filePath).equals(data));
+  });
+
+  it('lets a completion interrupted before its job was created be finished', async () => {
+    const data = crypto.randomBytes(512);
+    const { id } = uploadService.create({ fileName: 'clip.mkv', size: data.length });
+
+    await uploadService.appendChunk(id, 0, chunk(data));
+    const first = await uploadService.complete(id);
+    // No attachJob(): the server stopped here
+
+    const again = await uploadService.complete(id);
+    assert.strictEqual(again.status, 'complete');
+    assert.strictEqual(again.jobId, null);
+    assert.strictEqual(again.filePath, first.filePath);
+    assert.strictEqual(again.offset, data.length);
+
+    await assert.rejects(uploadService.appendChunk(id, data.length, chunk(data)), { status: 409 });
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const videoEncoder = require('../src/utils/video.encoder');
+const encodingProfiles = require('../src/utils/encoding.profiles');
+
+// Trimmed `ffmpeg -hide_banner -hwaccels` / `-encoders` output
+const HWACCELS = `Hardware acceleration methods:
+vdpau
+cuda
+vaapi
+qsv
+`;
+
+const ENCODERS = `Encoders:
+ V..... = Video
+ ------
+ V....D libx264              libx264 H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10 (codec h264)
+ V....D h264_nvenc           NVIDIA NVENC H.264 encoder (codec h264)
+ V....D h264_qsv             H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10 (Intel Quick Sync Video acceleration) (codec h264)
+ V....D h264_vaapi           H.264/AVC (VAAPI) (codec h264)
+`;
+
+const CPU_ENCODERS = ENCODERS.split('\n').filter(line => !/h264_(nvenc|qsv|vaapi)/.test(line)).join('\n');
+
+function encoder(env = {}) {
+  const saved = { HW_ENCODER: process.env.HW_ENCODER, VAAPI_DEVICE: process.env.VAAPI_DEVICE };
+  Object.assign(process.env, env);
+  try {
+    return new videoEncoder.constructor();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+const rendition = { width: 1280, height: 720, bitrate: 3000, maxrate: 3300, bufsize: 6000, level: '4.1', scale: true };
+
+describe('videoEncoder.detect', () => {
+  it('prefers nvidia when every backend is available', () => {
+    assert.strictEqual(encoder({ HW_ENCODER: 'auto' }).detect(HWACCELS, ENCODERS), 'nvidia');
+  });
+
+  it('falls back to the next backend with both hwaccel and encoder', () => {
+    const hwaccels = HWACCELS.replace('cuda\n', '');
+    assert.strictEqual(encoder({ HW_ENCODER: 'auto' }).detect(hwaccels, ENCODERS), 'vaapi');
+  });
+
+  it('needs the encoder as well as the hwaccel', () => {
+    const encoders = ENCODERS.split('\n').filter(line => !line.includes('h264_nvenc')).join('\n');
+    assert.strictEqual(encoder({ HW_ENCODER: 'nvidia' }).detect(HWACCELS, encoders), null);
+  });
+
+  it('returns null on a CPU-only build', () => {
+    assert.strictEqual(encoder({ HW_ENCODER: 'auto' }).detect('Hardware acceleration methods:\n', CPU_ENCODERS), null);
+    assert.strictEqual(encoder({ HW_ENCODER: 'auto' }).detect(), null);
+  });
+
+  it('only considers the configured backend', () => {
+    assert.strictEqual(encoder({ HW_ENCODER: 'qsv' }).detect(HWACCELS, ENCODERS), 'qsv');
+  });
+
+  it('does not probe FFmpeg when disabled', () => {
+    assert.strictEqual(encoder({ HW_ENCODER: 'none' }).probe(), null);
+  });
+});
+
+describe('videoEncoder arguments', () => {
+  const encoding = encodingProfiles.resolve('balanced');
+
+  it('builds libx264 options with CRF rate control', () => {
+    const libx264 = encoder();
+    assert.deepStrictEqual(libx264.getInputOptions('libx264'), []);
+
+    const options = libx264.getOutputOptions('libx264', rendition, 2, encoding);
+    assert.strictEqual(options[0], '-vf scale=1280:720');
+    assert.ok(options.includes('-c:v libx264'));
+    assert.ok(options.includes('-preset medium'));
+    assert.ok(options.includes('-threads 2'));
+    assert.ok(options.includes('-crf 23'));
+    assert.ok(!options.some(option => option.startsWith('-b:v')));
+    assert.ok(options.includes('-maxrate 3300k'));
+    assert.ok(options.includes('-force_key_frames expr:gte(t,n_forced*4)'));
+  });
+
+  it('adds the fast decode tuning for ultrafast', () => {
+    const options = encoder().getOutputOptions('libx264', rendition, 0, encodingProfiles.resolve('fast'));
+    assert.ok(options.includes('-tune fastdecode'));
+  });
+
+  it('builds nvenc options with a bitrate target', () => {
+    const nvidia = encoder();
+    assert.deepStrictEqual(nvidia.getInputOptions('nvidia'), ['-hwaccel cuda']);
+
+    const options = nvidia.getOutputOptions('nvidia', rendition, 0, encoding);
+    assert.strictEqual(options[0], '-vf scale=1280:720');
+    assert.ok(options.includes('-c:v h264_nvenc'));
+    assert.ok(options.includes('-b:v 3000k'));
+    assert.ok(!options.some(option => option.startsWith('-crf')));
+  });
+
+  it('uploads frames to the configured VAAPI device', () => {
+    const vaapi = encoder({ VAAPI_DEVICE: '/dev/dri/renderD129' });
+    assert.deepStrictEqual(vaapi.getInputOptions('vaapi'), ['-vaapi_device /dev/dri/renderD129']);
+
+    const options = vaapi.getOutputOptions('vaapi', { ...rendition, scale: false }, 0, encoding);
+    assert.strictEqual(options[0], '-vf format=nv12,hwupload');
+    assert.ok(options.includes('-c:v h264_vaapi'));
+  });
+
+  it('builds qsv options', () => {
+    const options = encoder().getOutputOptions('qsv', rendition, 0, encoding);
+    assert.strictEqual(options[0], '-vf scale=1280:720,format=nv12');
+    assert.ok(options.includes('-c:v h264_qsv'));
+  });
+
+  it('falls back to libx264 for disabled or unknown backends', () => {
+    const instance = encoder();
+    assert.strictEqual(instance.select('nvidia'), 'nvidia');
+    instance.disable('nvidia');
+    assert.strictEqual(instance.select('nvidia'), 'libx264');
+    assert.strictEqual(instance.select(null), 'libx264');
+    assert.strictEqual(instance.select('bogus'), 'libx264');
+  });
+});
@@ -0,0 +1,239 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+
+const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-webhooks-'));
+const GLOBAL_SECRET = 'global-secret-0123456789';
+const JOB_SECRET = 'job-secret-0123456789';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Local receiver: records every POST per path and answers with the
+ * status codes queued for that path (200 once they run out)
+ */
+function createReceiver() {
+  const received = new Map();
+  const responses = new Map();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (!received.has(req.url)) received.set(req.url, []);
+      received.get(req.url).push({ headers: req.headers, body });
+
+      const status = responses.get(req.url)?.shift() || 200;
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  return {
+    server,
+    respond: (route, statuses) => responses.set(route, statuses),
+    requests: route => received.get(route) || [],
+    async waitFor(route, count, timeout = 5000, match = () => true) {
+      const deadline = Date.now() + timeout;
+      const matching = () => this.requests(route).filter(match);
+      while (matching().length < count) {
+        if (Date.now() > deadline) {
+          throw new Error(`${route} got ${matching().length} of ${count} requests`);
+        }
+        await sleep(20);
+      }
+      return matching();
+    }
+  };
+}
+
+function verify(request, secret) {
+  const timestamp = request.headers['x-webhook-timestamp'];
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+  return request.headers['x-webhook-signature'] === `sha256=${expected}`;
+}
+
+describe('webhook service', () => {
+  const receiver = createReceiver();
+  let baseUrl;
+  let jobManager;
+  let webhookService;
+
+  const createJob = (route, secret) => {
+    const job = jobManager.createJob('http://example.com/video.mp4');
+    webhookService.register(job, webhookService.parse({ url: `${baseUrl}${route}`, secret }));
+    return job;
+  };
+
+  const waitForDelivery = async (jobId, predicate, timeout = 5000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const delivery = webhookService.describe(jobId).deliveries.find(predicate);
+      if (delivery) return delivery;
+      await sleep(20);
+    }
+    throw new Error(`No matching delivery for job ${jobId}`);
+  };
+
+  before(async () => {
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${receiver.server.address().port}`;
+
+    Object.assign(process.env, {
+      DATA_PATH: dataPath,
+      JOB_STORE: 'memory',
+      ALLOW_PRIVATE_NETWORKS: 'true',
+      WEBHOOK_URL: `${baseUrl}/global`,
+      WEBHOOK_SECRET: GLOBAL_SECRET,
+      WEBHOOK_MAX_ATTEMPTS: '3'
+    });
+    jobManager = require('../src/services/job.manager');
+    webhookService = require('../src/services/webhook.service');
+  });
+
+  after(() => {
+    jobManager.stopCleanup();
+    receiver.server.close();
+    fs.rmSync(dataPath, { recursive: true, force: true });
+  });
+
+  it('validates hook options', () => {
+    assert.deepStrictEqual(webhookService.parse('https://example.com/hook'), { url: 'https://example.com/hook', secret: null });
+    assert.throws(() => webhookService.parse({}), /webhook must be a URL/);
+    assert.throws(() => webhookService.parse({ url: 'https://example.com/hook', secret: 'short' }), /at least 16 characters/);
+    assert.throws(() => webhookService.parse('ftp://example.com/hook'));
+  });
+
+  it('sends a signed queued event when the job is created', async () => {
+    const job = createJob('/signed', JOB_SECRET);
+    const [request] = await receiver.waitFor('/signed', 1);
+    const body = JSON.parse(request.body);
+
+    assert.strictEqual(request.headers['content-type'], 'application/json');
+    assert.strictEqual(request.headers['x-webhook-event'], 'queued');
+    assert.ok(request.headers['x-webhook-id']);
+    assert.ok(verify(request, JOB_SECRET));
+    assert.ok(!verify(request, GLOBAL_SECRET));
+    assert.strictEqual(body.event, 'queued');
+    assert.strictEqual(body.job.id, job.id);
+  });
+
+  it('signs WEBHOOK_URL deliveries with WEBHOOK_SECRET', async () => {
+    const job = jobManager.createJob('http://example.com/global.mp4');
+    const [request] = await receiver.waitFor('/global', 1, 5000, r => JSON.parse(r.body).job.id === job.id);
+
+    assert.ok(verify(request, GLOBAL_SECRET));
+  });
+
+  it('leaves hooks without a secret unsigned', async () => {
+    createJob('/unsigned');
+    const [request] = await receiver.waitFor('/unsigned', 1);
+
+    assert.strictEqual(request.headers['x-webhook-signature'], undefined);
+    assert.strictEqual(request.headers['x-webhook-event'], 'queued');
+  });
+
+  it('sends lifecycle events but not queue slot waits', async () => {
+    const job = createJob('/lifecycle', JOB_SECRET);
+    await receiver.waitFor('/lifecycle', 1);
+
+    for (const status of ['queued', 'downloading', 'downloaded', 'converting', 'ready']) {
+      jobManager.updateJob(job.id, { status });
+    }
+    const requests = await receiver.waitFor('/lifecycle', 3);
+    await sleep(100);
+
+    assert.deepStrictEqual(requests.map(r => r.headers['x-webhook-event']), ['queued', 'downloaded', 'ready']);
+    assert.strictEqual(JSON.parse(requests[2].body).job.status, 'ready');
+  });
+
+  it('sends the final event to hooks added after the job finished', async () => {
+    const job = jobManager.createJob('http://example.com/done.mp4');
+    jobManager.updateJob(job.id, { status: 'error', message: 'Source not found' });
+    await sleep(20);
+
+    webhookService.register(job, { url: `${baseUrl}/late`, secret: null });
+    const [request] = await receiver.waitFor('/late', 1);
+    const body = JSON.parse(request.body);
+
+    assert.strictEqual(body.event, 'error');
+    assert.strictEqual(body.job.message, 'Source not found');
+  });
+
+  it('retries failed deliveries with backoff', async () => {
+    receiver.respond('/flaky', [500]);
+    const job = createJob('/flaky', JOB_SECRET);
+
+    const requests = await receiver.waitFor('/flaky', 2);
+    assert.strictEqual(requests[0].headers['x-webhook-id'], requests[1].headers['x-webhook-id']);
+    assert.strictEqual(requests[0].body, requests[1].body);
+    assert.ok(verify(requests[1], JOB_SECRET));
+
+    const delivery = await waitForDelivery(job.id, d => d.url.endsWith('/flaky') && d.status === 'delivered');
+    assert.deepStrictEqual(delivery.attempts.map(a => a.statusCode), [500, 200]);
+    assert.strictEqual(delivery.attempts[0].error, 'HTTP 500');
+  });
+
+  it('gives up after WEBHOOK_MAX_ATTEMPTS', { timeout: 10000 }, async () => {
+    receiver.respond('/down', [503, 503, 503]);
+    const job = createJob('/down');
+
+    const delivery = await waitForDelivery(job.id, d => d.url.endsWith('/down') && d.status === 'failed', 8000);
+    assert.strictEqual(delivery.attempts.length, 3);
+    assert.strictEqual(receiver.requests('/down').length, 3);
+  });
+
+  it('keeps retrying when the delivery log cannot be written', async () => {
+    const rejections = [];
+    const onRejection = error => rejections.push(error);
+    process.on('unhandledRejection', onRejection);
+
+    // The delivery is logged, updating it with its attempts fails
+    const updateLog = webhookService.updateLog;
+    webhookService.updateLog = function (jobId, update) {
+      if (this.load(jobId).deliveries.some(d => d.url.endsWith('/unlogged'))) {
+        throw new Error('No space left on device');
+      }
+      return updateLog.call(this, jobId, update);
+    };
+
+    try {
+      receiver.respond('/unlogged', [500]);
+      createJob('/unlogged');
+      await receiver.waitFor('/unlogged', 2);
+      await sleep(50);
+    } finally {
+      webhookService.updateLog = updateLog;
+      process.off('unhandledRejection', onRejection);
+    }
+    assert.deepStrictEqual(rejections, []);
+  });
+
+  it('redelivers with the original payload', async () => {
+    const job = createJob('/redeliver', JOB_SECRET);
+    const [first] = await receiver.waitFor('/redeliver', 1);
+    const original = await waitForDelivery(job.id, d => d.url.endsWith('/redeliver') && d.status === 'delivered');
+
+    const delivery = webhookService.redeliver(job.id, original.id);
+    assert.strictEqual(delivery.redelivery, true);
+    assert.notStrictEqual(delivery.id, original.id);
+
+    const [, second] = await receiver.waitFor('/redeliver', 2);
+    assert.strictEqual(JSON.parse(second.body).id, JSON.parse(first.body).id);
+    assert.ok(verify(second, JOB_SECRET));
+    assert.strictEqual(webhookService.redeliver(job.id, 'missing'), null);
+  });
+
+  it('keeps secrets out of the job log description', () => {
+    const job = createJob('/describe', JOB_SECRET);
+    const { hooks } = webhookService.describe(job.id);
+
+    assert.deepStrictEqual(hooks.map(h => h.signed), [true, true]);
+    assert.ok(!JSON.stringify(hooks).includes(JOB_SECRET));
+    assert.ok(!JSON.stringify(hooks).includes(GLOBAL_SECRET));
+  });
+});